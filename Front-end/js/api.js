@@ -0,0 +1,417 @@
+/**
+ * Cliente HTTP unificado de EcoRecycle
+ * Lo comparten el login (login/js/main.js) y la app principal (js/app.js)
+ */
+
+import Session from "./session.js";
+
+// Un solo /refresh en vuelo aunque fallen varias peticiones a la vez
+let refreshPromise = null;
+
+// Ajustes por defecto del cliente; config.js los reemplaza al arrancar
+const settings = {
+  baseUrl: "",
+  timeout: 10000,        // ms por intento
+  classifyTimeout: 30000, // la IA puede tardar más que el resto
+  retries: 2,            // reintentos extra, solo para GET
+  retryDelay: 500        // ms; se duplica en cada reintento
+};
+
+/**
+ * Error normalizado que lanza el cliente en cualquier fallo
+ */
+export class ApiError extends Error {
+  /**
+   * @param {string} message - Mensaje listo para mostrar al usuario
+   * @param {object} details
+   * @param {number} details.status - Código HTTP (0 si no hubo respuesta)
+   * @param {string} details.code - 'timeout' | 'network' | 'aborted' | 'http' | 'rejected'
+   * @param {*} details.data - Cuerpo de la respuesta, si lo hubo
+   * @param {string} details.endpoint - Ruta que se llamó
+   */
+  constructor(message, { status = 0, code = 'http', data = null, endpoint = '' } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.data = data;
+    this.endpoint = endpoint;
+  }
+
+  /**
+   * True si el servidor no llegó a responder
+   */
+  get isNetworkError() {
+    return this.code === 'network' || this.code === 'timeout';
+  }
+}
+
+export default class Api {
+  /**
+   * Cambia los ajustes del cliente
+   * @param {object} options - baseUrl, timeout, classifyTimeout, retries, retryDelay
+   */
+  static configure(options = {}) {
+    Object.assign(settings, options);
+  }
+
+  static get baseUrl() {
+    return settings.baseUrl;
+  }
+
+  // -------------------------
+  // AUTENTICACIÓN
+  // -------------------------
+  static register(nombre, correo, password) {
+    return this.request("/register", { method: "POST", body: { nombre, correo, password }, auth: false });
+  }
+
+  /**
+   * @returns {Promise<{mensaje: string, access_token: string, refresh_token: string}>}
+   */
+  static login(correo, password) {
+    return this.request("/login", { method: "POST", body: { correo, password }, auth: false });
+  }
+
+  /**
+   * Consulta si un correo sigue libre para registrarse
+   * @param {string} correo
+   * @param {object} options - signal para cancelar la consulta
+   * @returns {Promise<{disponible: boolean}>}
+   */
+  static checkEmail(correo, { signal } = {}) {
+    return this.request(`/usuarios/disponible?correo=${encodeURIComponent(correo)}`, { auth: false, signal, retries: 0 });
+  }
+
+  /**
+   * Pide un código de recuperación; el servidor lo envía por correo
+   */
+  static requestPasswordReset(correo) {
+    return this.request("/password/forgot", { method: "POST", body: { correo }, auth: false });
+  }
+
+  /**
+   * Cambia la contraseña con el código recibido
+   */
+  static resetPassword(correo, codigo, password) {
+    return this.request("/password/reset", { method: "POST", body: { correo, codigo, password }, auth: false });
+  }
+
+  /**
+   * Revoca el token de refresco en el servidor (best effort)
+   */
+  static logout(refreshToken) {
+    return this.request("/logout", { method: "POST", body: { refresh_token: refreshToken }, timeout: 3000, auth: false });
+  }
+
+  /**
+   * Renueva el token de acceso con el de refresco guardado
+   * @returns {Promise<boolean>} - False si la sesión ya no se puede renovar
+   */
+  static refreshSession() {
+    if (!refreshPromise) {
+      refreshPromise = (async () => {
+        const refreshToken = Session.refreshToken;
+        if (!refreshToken) return false;
+        try {
+          const data = await this.send("/refresh", { method: "POST", body: { refresh_token: refreshToken }, auth: false });
+          Session.setTokens(data.access_token, data.refresh_token);
+          return Boolean(data.access_token);
+        } catch {
+          return false;
+        }
+      })().finally(() => { refreshPromise = null; });
+    }
+    return refreshPromise;
+  }
+
+  // -------------------------
+  // ESCANEO
+  // -------------------------
+  /**
+   * Envía una imagen al clasificador
+   * @param {FormData} formData - Debe incluir el campo 'file'; 'image_hash' (dHash del cliente) es
+   *                              opcional y el backend no debe confiar en él: calcula el suyo con la imagen
+   * @returns {Promise<{item: string, bin: string, instructions: string, points: number,
+   *                    confidence: number, alternatives: Array<{item: string, confidence: number}>,
+   *                    scan_id?: string, pending_deposit?: boolean}>} - Con pending_deposit los puntos
+   *                    se suman después, con registrarDeposito()
+   */
+  static classify(formData) {
+    return this.request("/classify", { method: "POST", body: formData, timeout: settings.classifyTimeout });
+  }
+
+  /**
+   * Detecta varios objetos en una sola foto; los puntos se acreditan al confirmar
+   * @param {FormData} formData - Igual que en classify()
+   * @returns {Promise<{id: string, detections: Array<{id: number, item: string, confidence: number, points: number,
+   *                    box: {x: number, y: number, width: number, height: number}}>}>} - box en fracciones (0..1) de la imagen
+   */
+  static detect(formData) {
+    return this.request("/detect", { method: "POST", body: formData, timeout: settings.classifyTimeout });
+  }
+
+  /**
+   * Confirma los objetos que el usuario dejó marcados; cada uno suma al depositarlo
+   * @param {string} id - Id que devolvió detect()
+   * @param {number[]} selected - Ids de los objetos confirmados
+   * @returns {Promise<{points: number, items: string[],
+   *                    deposits: Array<{id: number, scan_id: string, item: string, points: number}>}>}
+   */
+  static confirmDetections(id, selected) {
+    return this.request(`/detect/${encodeURIComponent(id)}/confirm`, { method: "POST", body: { selected } });
+  }
+
+  /**
+   * Corrección del usuario sobre una clasificación, para reentrenar el modelo
+   * @param {FormData} formData - predicted, corrected, confidence, scan_id del escaneo pendiente
+   *                              y la foto en 'file' si la hay
+   * @returns {Promise<{mensaje: string, item?: string, points?: number, scan_id?: string, pending_deposit?: boolean}>} -
+   *          con scan_id, el depósito pendiente ahora es por el material corregido
+   */
+  static sendFeedback(formData) {
+    return this.request("/feedback", { method: "POST", body: formData, timeout: settings.classifyTimeout });
+  }
+
+  /**
+   * Catálogo de materiales y canecas (público)
+   * @param {number} version - Versión que ya tiene el cliente
+   * @returns {Promise<object>} - El catálogo completo o { version, sin_cambios: true }
+   */
+  static catalogo(version = 0) {
+    const query = version ? `?version=${encodeURIComponent(version)}` : "";
+    return this.request(`/catalogo${query}`, { auth: false });
+  }
+
+  /**
+   * Empaque de un producto por su código de barras
+   * @param {string} codigo - EAN-13 (los UPC-A llegan con un 0 adelante) o EAN-8
+   * @returns {Promise<{codigo: string, nombre: string,
+   *                    componentes: Array<{parte: string, material: string, instrucciones?: string}>}>}
+   * @throws {ApiError} - status 404 si el producto no está en la base
+   */
+  static producto(codigo) {
+    return this.request(`/productos/${encodeURIComponent(codigo)}`);
+  }
+
+  /**
+   * Aporta el desglose de empaque de un producto que no estaba en la base
+   * @param {object} producto - { codigo, nombre, componentes: [{ parte, material }] }
+   */
+  static contribuirProducto(producto) {
+    return this.request("/productos", { method: "POST", body: producto });
+  }
+
+  // -------------------------
+  // PUNTOS Y PREMIOS
+  // -------------------------
+  /**
+   * Confirma que el objeto de un escaneo se botó en la caneca correcta y acredita sus puntos
+   * @param {object} deposito - { scan_id, qr } con el contenido del QR o { scan_id, codigo } impreso en la caneca
+   * @returns {Promise<{points: number, item: string, caneca: string, codigo: string, daily_limit?: boolean}>}
+   * @throws {ApiError} - status 400 si la caneca no es la que corresponde
+   */
+  static registrarDeposito(deposito) {
+    return this.request("/depositos", { method: "POST", body: deposito });
+  }
+
+  static canjearPremio(correo, premio) {
+    return this.request("/puntos/canjear", { method: "POST", body: { correo, premio } });
+  }
+
+  static listarPremios() {
+    return this.request("/premios");
+  }
+
+  /**
+   * Saldo actual del usuario
+   * @returns {Promise<{puntos: number}>}
+   */
+  static puntos(correo) {
+    return this.request(`/usuarios/${encodeURIComponent(correo)}/puntos`);
+  }
+
+  /**
+   * Total acumulado del usuario (no baja al canjear)
+   * @returns {Promise<{puntos_acumulados: number}>}
+   */
+  static puntosAcumulados(correo) {
+    return this.request(`/usuarios/${encodeURIComponent(correo)}/puntos-acumulados`);
+  }
+
+  /**
+   * Perfil de región de la cuenta (el de su organización si no eligió uno)
+   * @returns {Promise<{perfil: string}>}
+   */
+  static perfilRegion(correo) {
+    return this.request(`/usuarios/${encodeURIComponent(correo)}/perfil-region`);
+  }
+
+  static guardarPerfilRegion(correo, perfil) {
+    return this.request(`/usuarios/${encodeURIComponent(correo)}/perfil-region`, { method: "PUT", body: { perfil } });
+  }
+
+  /**
+   * Una página del ledger de puntos de la cuenta, del movimiento más nuevo al más viejo
+   * @param {string} correo
+   * @param {object} filtros - Todos opcionales
+   * @param {'escaneo'|'canje'|'ajuste'} filtros.tipo
+   * @param {string} filtros.material - Id del catálogo
+   * @param {string} filtros.caneca - Id de caneca (según el perfil de la cuenta)
+   * @param {string} filtros.desde - Fecha ISO, inclusive
+   * @param {string} filtros.hasta - Fecha ISO, exclusive
+   * @param {string} filtros.q - Texto a buscar en el detalle
+   * @param {object} pagina
+   * @param {string|null} pagina.cursor - El `siguiente` de la página anterior; null para la primera
+   * @param {number} pagina.limite - Movimientos por página (máx. 100)
+   * @returns {Promise<{movimientos: Array<{id: number, tipo: 'escaneo'|'canje'|'ajuste', monto: number,
+   *                    material: string|null, premio_id: number|null, saldo: number, fecha: string, origen: string}>,
+   *                    siguiente: string|null, total: number}>} -
+   *          monto con signo; saldo es el que quedó después del movimiento; siguiente es null en la última página
+   */
+  static historial(correo, filtros = {}, { cursor = null, limite = 20 } = {}) {
+    const params = new URLSearchParams();
+    Object.entries(filtros).forEach(([key, value]) => {
+      if (value) params.set(key, value);
+    });
+    if (cursor) params.set("cursor", cursor);
+    params.set("limite", String(limite));
+    return this.request(`/historial/${encodeURIComponent(correo)}?${params}`);
+  }
+
+  /**
+   * Totales de todo el ledger de la cuenta (para las estadísticas, sin paginar)
+   * @param {string} correo
+   * @returns {Promise<{objetos: number, puntos_ganados: number, puntos_canjeados: number}>} -
+   *          objetos son los escaneos con material; puntos_canjeados va en positivo
+   */
+  static resumenHistorial(correo) {
+    return this.request(`/historial/${encodeURIComponent(correo)}/resumen`);
+  }
+
+  // -------------------------
+  // EVENTOS EN VIVO
+  // -------------------------
+  /**
+   * Ticket para abrir el stream SSE (GET /eventos?ticket=…): EventSource no manda el
+   * header Authorization y el token no debe ir en la URL
+   * @returns {Promise<{ticket: string, expira_en: number}>} - Sirve una sola vez; expira_en en segundos
+   */
+  static ticketEventos() {
+    return this.request("/eventos/ticket", { method: "POST", retries: 0 });
+  }
+
+  // -------------------------
+  // MÉTODO BASE PARA REQUESTS
+  // -------------------------
+  /**
+   * Hace una petición con timeout; los GET se reintentan con backoff.
+   * Con auth, un 401 renueva el token una vez y, si no se puede, cierra la sesión.
+   * @param {string} endpoint - Ruta relativa a baseUrl
+   * @param {object} options - method, body (objeto o FormData), timeout, retries, auth, signal
+   * @returns {Promise<*>} - Cuerpo de la respuesta ya parseado
+   * @throws {ApiError}
+   */
+  static async request(endpoint, { method = "GET", body = null, timeout = settings.timeout, retries = settings.retries, auth = true, signal = null } = {}) {
+    const maxRetries = method === "GET" ? retries : 0;
+    let attempt = 0;
+    let refreshed = false;
+
+    for (;;) {
+      try {
+        return await this.send(endpoint, { method, body, timeout, auth, signal });
+      } catch (error) {
+        if (auth && error.status === 401) {
+          if (!refreshed && await this.refreshSession()) {
+            refreshed = true;
+            continue;
+          }
+          Session.expire();
+          throw error;
+        }
+
+        const retriable = error.isNetworkError || error.status >= 500;
+        if (!retriable || attempt >= maxRetries) {
+          if (error.code !== "aborted") console.error("API Error:", endpoint, error.message);
+          throw error;
+        }
+        await sleep(settings.retryDelay * 2 ** attempt);
+        attempt++;
+      }
+    }
+  }
+
+  static async send(endpoint, { method = "GET", body = null, timeout = settings.timeout, auth = true, signal = null } = {}) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    const options = { method, headers: {}, signal: controller.signal };
+
+    // Cancelación externa (p. ej. el usuario siguió escribiendo)
+    const onAbort = () => controller.abort();
+    if (signal) {
+      if (signal.aborted) controller.abort();
+      else signal.addEventListener("abort", onAbort, { once: true });
+    }
+
+    const token = auth ? Session.accessToken : null;
+    if (token) options.headers["Authorization"] = `Bearer ${token}`;
+
+    if (body instanceof FormData) {
+      options.body = body;
+    } else if (body) {
+      options.headers["Content-Type"] = "application/json";
+      options.body = JSON.stringify(body);
+    }
+
+    let response;
+    let data;
+    try {
+      response = await fetch(`${settings.baseUrl}${endpoint}`, options);
+      data = await parseBody(response);
+    } catch (error) {
+      if (signal && signal.aborted) {
+        throw new ApiError("Solicitud cancelada", { code: "aborted", endpoint });
+      }
+      const timedOut = controller.signal.aborted;
+      throw new ApiError(
+        timedOut ? "El servidor tardó demasiado en responder" : "No se pudo conectar con el servidor",
+        { code: timedOut ? "timeout" : "network", endpoint }
+      );
+    } finally {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener("abort", onAbort);
+    }
+
+    // El backend a veces responde 200 con { error } en el cuerpo
+    if (!response.ok || (data && data.error)) {
+      throw new ApiError(errorMessage(data, response), {
+        status: response.status,
+        code: response.ok ? "rejected" : "http",
+        data,
+        endpoint
+      });
+    }
+    return data;
+  }
+}
+
+// --- Helpers ---
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function parseBody(response) {
+  const text = await response.text();
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return { mensaje: text };
+  }
+}
+
+function errorMessage(data, response) {
+  if (data && typeof data.error === "string") return data.error;
+  if (data && typeof data.detail === "string") return data.detail; // FastAPI
+  return response.statusText || "Error en la solicitud";
+}
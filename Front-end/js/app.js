@@ -1,23 +1,31 @@
+import Api, { ApiError } from './api.js';
+import { loadConfig, getConfig, isFeatureEnabled } from './config.js';
+import Session, { LOGIN_URL } from './session.js';
+import IdleTimer from './idle-timer.js';
+import ScanQueue from './scan-queue.js';
+import { preprocessImage } from './image-preprocess.js';
+import MaterialMatcher from './material-matcher.js';
+import { loadCatalog, onCatalogChange } from './catalog.js';
+import { createBarcodeReader, createQrReader } from './barcode.js';
+import Camera from './camera.js';
+import { imageHash, hammingDistance, blobHash, hashToHex, hexToHash } from './image-hash.js';
+import RecentScans from './recent-scans.js';
+import { classifyLocally, prefetchLocalModel } from './local-classifier.js';
+import LiveUpdates from './live-updates.js';
+import { ledgerToCsv, ledgerToJson, certificatePdf, downloadBlob } from './history-export.js';
+import { registerServiceWorker } from './sw-register.js';
+
 // =====================================================
 // Guard de sesión (pon este bloque al inicio del archivo)
 (() => {
-  const LOGIN_URL = "./login/html/index.html";
-  const email = localStorage.getItem("userEmail");
-  if (!email) {
+  if (!Session.isActive) {
     window.location.href = LOGIN_URL;
   }
 })();
 // =====================================================
 
-// --- CONFIGURACIÓN ---
-// IMPORTANTE: Esta es la URL de tu backend.
-// En desarrollo (local), usa: 'http://127.0.0.1:8000'
-// En producción (desplegado), reemplázala por la URL pública de tu API.
-//const API_BASE_URL = 'http://127.0.0.1:8000'; // <-- ¡CAMBIA ESTO ANTES DE DESPLEGAR!
-const API_BASE_URL = 'http://3.131.157.227:8000'; // <-- ¡CAMBIA ESTO ANTES DE DESPLEGAR!
-
-// === Config API (frontend) ===
-const API_BASE = API_BASE_URL;   // Usamos la misma constante para consistencia
+// Shell en caché para abrir la app sin red (sw.js)
+registerServiceWorker();
 
 // Helper seguro para asignar texto (evita ?.textContent en LHS)
 function setText(id, value) {
@@ -31,48 +39,179 @@ class EcoRecycleApp {
     this.activeTab = 'scanner';
     this.userPoints = 0;              // saldo actual (desde backend)
     this.userPointsTotal = 0;         // total acumulado (nunca baja)
-    this.isScanning = false;
     this.isListening = false;
     this.scanResult = null;
+    this.lastScan = null;             // foto del último escaneo real (para correcciones)
     this.notifications = [];
 
-    // Control de llamadas de puntos (evita spam)
+    // Saldo, ledger y stock llegan por el canal en vivo; fetchPoints solo resincroniza
     this._fetchingPoints = false;
-    this._lastPointsFetch = 0; // epoch ms
-    this.myRecyclingHistory = [];
-    this.serverHistory = []; 
+    this.live = new LiveUpdates({
+      onEvent: (type, data) => this.handleLiveEvent(type, data),
+      onConnect: () => this.fetchPoints() // lo que cambió mientras no había canal
+    });
+    this.serverHistory = [];
+    // "Mis Estadísticas": totales de todo el ledger, no solo de la página cargada;
+    // null hasta que se abre la pestaña de historial
+    this.stats = null;
+    // Historial paginado en el servidor: filtros activos (también van en la URL) y cursor
+    this.historyFilters = readHistoryFilters();
+    this.historyPage = newHistoryPage();
+    this.historyObserver = null;
     
-    // Recycling data (simulación)
-    this.recyclingData = {
-      'botella de plástico': { recyclable: true, bin: 'azul',   binColor: 'bg-blue-500-bin',  instructions: 'Lava la botella y retira la tapa antes de depositarla en la caneca azul.', points: 5 },
-      'papel':               { recyclable: true, bin: 'gris',   binColor: 'bg-gray-500',      instructions: 'Asegúrate de que esté limpio y seco. Deposita en caneca gris.',            points: 3 },
-      'vidrio':              { recyclable: true, bin: 'blanca', binColor: 'bg-white-bin',     instructions: 'Lava el vidrio y deposita en caneca blanca.',                             points: 4 },
-      'residuo orgánico':    { recyclable: true, bin: 'verde',  binColor: 'bg-green-500-bin', instructions: 'Perfecto para compostaje. Deposita en caneca verde.',                      points: 2 },
-      'residuo no reciclable':{recyclable:false, bin: 'negra',  binColor: 'bg-black',         instructions: 'Este residuo no es reciclable. Deposita en caneca negra.',                 points: 0 },
-      'lata de aluminio':    { recyclable: true, bin: 'azul',   binColor: 'bg-blue-500-bin',  instructions: 'Lava la lata y deposita en caneca azul para reciclaje.',                   points: 4 },
-      'cartón':              { recyclable: true, bin: 'gris',   binColor: 'bg-gray-500',      instructions: 'Asegúrate de que esté limpio y seco. Deposita en caneca gris.',            points: 3 },
-      'botella vidrio':      { recyclable: true, bin: 'blanca', binColor: 'bg-white-bin',     instructions: 'Lava la botella de vidrio y deposita en caneca blanca.',                   points: 4 }
-    };
+    // Catálogo de materiales (js/catalog.js) y buscador difuso sobre él
+    this.catalog = null;
+    this.materialMatcher = null;
+    this.regionProfile = null;        // perfil de región de la cuenta (canecas por ciudad/campus)
+
+    // Consulta por voz
+    this.recognition = null;
+    this.voiceLang = localStorage.getItem(VOICE_LANG_KEY)
+      || ((navigator.language || '').startsWith('en') ? 'en-US' : 'es-CO');
+
+    // Cámara con lente, linterna y zoom recordados (js/camera.js)
+    this.camera = new Camera();
+
+    // Varios objetos en una foto: detección pendiente de confirmar
+    this.multiMode = false;
+    this.continuousMode = false;      // clasifica solo cuando cambia la escena
+    this.continuous = null;           // estado del escaneo continuo en curso
+    this.detection = null;            // { id, detections, selected: Set, image, confirmed }
+
+    // Código de barras: lector (nativo o JS) y producto mostrado
+    this.barcodeReader = null;
+    this.codeScanning = false;        // la cámara está leyendo un código de barras o un QR
+    this.product = null;
+    this.contributeCode = null;       // código sin empaque registrado que el usuario está aportando
+
+    // Puntos que esperan el QR de la caneca, en orden de llegada: [{ scanId, item, points, detectionId?, onDone }].
+    // El panel muestra this.deposit; los demás quedan en lista para elegirlos
+    this.qrReader = null;
+    this.deposits = [];
+    this.deposit = null;
+    this.closedDeposits = new Set(); // scan_id ya depositados, descartados o vencidos
 
     // Premios: se cargan desde el backend
     this.rewards = [];
 
+    // Escaneos que no se pudieron enviar (IndexedDB)
+    this.scanQueue = new ScanQueue();
+    this._flushingQueue = false;
+
+    // Fotos ya enviadas hace poco (hash perceptual). Con los valores por defecto hasta que
+    // carga la config; la lista vive en localStorage, así que reemplazarla no pierde nada
+    this.recentScans = new RecentScans(Session.email);
+
     this.init();
   }
 
   // ------------------ Ciclo de vida -------------------
   async init() {
+    const config = await loadConfig();
+    this.recentScans = new RecentScans(Session.email, config.antiFraud);
+    this.setCatalog(await loadCatalog());
+    onCatalogChange((catalog) => this.setCatalog(catalog));
+    this.loadRegionProfile();
+    this.applyFeatureFlags();
+    this.startSessionWatch(config.session);
     this.bindEvents();
+    this.watchScanQueue();
+    // Un enlace con filtros del historial abre directo esa vista
+    if (Object.keys(this.historyFilters).length) this.switchTab('history');
+    // Se baja ahora para tenerlo cuando falte la red
+    if (isFeatureEnabled('localModel') && navigator.onLine) prefetchLocalModel(config.localModel);
 
-    // Cargar datos remotos en orden: puntos → UI → premios → estadísticas
+    // Cargar datos remotos en orden: puntos → UI → premios (las estadísticas, con el historial)
     await this.fetchPoints();          // saldo y total
     this.updatePointsDisplay();
     await this.loadRewards();          // premios
-    this.updateStatistics();
 
-    // Auto-refresh de puntos
-    this.pointsTimer = setInterval(() => this.fetchPoints(), 10000);
-    window.addEventListener('focus', () => this.fetchPoints());
+    this.live.start();
+  }
+
+  // El catálogo llega al arrancar y de nuevo si el backend publica otra versión
+  setCatalog(catalog) {
+    this.catalog = catalog;
+    this.materialMatcher = new MaterialMatcher(catalog.names, catalog.synonyms);
+    // El perfil elegido puede no existir en la versión nueva
+    this.applyRegionProfile(this.regionProfile || localStorage.getItem(regionKey(Session.email)));
+  }
+
+  // ---------------- Perfil de región -------------------
+  // Primero el guardado en el dispositivo (sirve sin red), luego el de la cuenta
+  async loadRegionProfile() {
+    const correo = Session.email;
+    if (!correo) return;
+    try {
+      const res = await Api.perfilRegion(correo);
+      if (res && res.perfil) this.applyRegionProfile(res.perfil);
+    } catch (error) {
+      console.error('No pude cargar el perfil de región:', error);
+    }
+  }
+
+  applyRegionProfile(profileId) {
+    if (!this.catalog) return;
+    this.regionProfile = this.catalog.hasProfile(profileId) ? profileId : this.catalog.defaultProfile;
+    if (this.regionProfile && Session.email) localStorage.setItem(regionKey(Session.email), this.regionProfile);
+
+    this.renderRegionSelect();
+    this.renderHistoryFilters();
+    this.renderBins();
+  }
+
+  async changeRegionProfile(profileId) {
+    const previous = this.regionProfile;
+    this.applyRegionProfile(profileId);
+    try {
+      await Api.guardarPerfilRegion(Session.email, this.regionProfile);
+      const profile = this.catalog.profileList.find(p => p.id === this.regionProfile);
+      this.addNotification(`Usaremos las canecas de: ${profile ? profile.name : this.regionProfile}`);
+      // El backend filtra por caneca con el perfil de la cuenta, que acaba de cambiar
+      if (this.historyFilters.caneca && this.activeTab === 'history') this.loadHistoryFromBackend({ reset: true });
+    } catch (error) {
+      console.error('No pude guardar el perfil de región:', error);
+      this.applyRegionProfile(previous);
+      this.showError(error, 'No pudimos guardar tu región. Intenta de nuevo.');
+    }
+  }
+
+  renderRegionSelect() {
+    const select = document.getElementById('region-select');
+    if (!select) return;
+    select.innerHTML = this.catalog.profileList
+      .map(p => `<option value="${escapeHtml(p.id)}">${escapeHtml(p.name)}</option>`)
+      .join('');
+    select.value = this.regionProfile || '';
+  }
+
+  // Vuelve a pintar todo lo que muestra una caneca con el perfil actual
+  renderBins() {
+    const scanResultEl = document.getElementById('scan-result');
+    if (this.scanResult && scanResultEl && !scanResultEl.classList.contains('hidden')) {
+      this.displayScanResult(this.scanResult);
+    }
+    const guideSearch = document.getElementById('guide-search');
+    if (guideSearch && guideSearch.value) this.searchGuide(guideSearch.value);
+    if (this.product) this.renderProductComponents();
+    if (this.detection) this.renderDetections();
+    if (this.deposit) this.renderDeposit();
+    if (this.activeTab === 'history') this.renderHistory();
+  }
+
+  // Oculta lo que el entorno tenga desactivado en config.json
+  applyFeatureFlags() {
+    // La voz también se oculta si el navegador no tiene Web Speech API
+    const voiceAvailable = isFeatureEnabled('voiceQuery') && Boolean(getSpeechRecognition());
+    ['voice-btn', 'voice-lang-btn'].forEach(id => {
+      const el = document.getElementById(id);
+      if (el && !voiceAvailable) el.classList.add('hidden');
+    });
+    setText('voice-lang-btn', VOICE_LANGS[this.voiceLang] || 'ES');
+
+    const barcodeAvailable = isFeatureEnabled('barcodeScan') && Camera.isSupported;
+    const barcodeBtn = document.getElementById('barcode-btn');
+    if (barcodeBtn && !barcodeAvailable) barcodeBtn.classList.add('hidden');
   }
 
   bindEvents() {
@@ -93,8 +232,121 @@ class EcoRecycleApp {
     if (scanBtn) scanBtn.addEventListener('click', () => this.startCamera());
     if (captureBtn) captureBtn.addEventListener('click', () => this.captureAndClassify());
     if (voiceBtn) voiceBtn.addEventListener('click', () => this.toggleVoiceRecognition());
+    const voiceLangBtn = document.getElementById('voice-lang-btn');
+    if (voiceLangBtn) voiceLangBtn.addEventListener('click', () => this.toggleVoiceLanguage());
     if (cameraInput) cameraInput.addEventListener('change', (event) => this.handleFileUpload(event));
 
+    const video = document.getElementById('camera-stream');
+    if (video) video.addEventListener('click', (e) => this.focusCamera(e));
+    const switchBtn = document.getElementById('camera-switch-btn');
+    if (switchBtn) switchBtn.addEventListener('click', () => this.switchCamera());
+    const torchBtn = document.getElementById('camera-torch-btn');
+    if (torchBtn) torchBtn.addEventListener('click', () => this.toggleTorch());
+    const zoomInput = document.getElementById('camera-zoom');
+    if (zoomInput) zoomInput.addEventListener('input', () => this.camera.setZoom(Number(zoomInput.value)));
+
+    const multiToggle = document.getElementById('multi-mode-toggle');
+    if (multiToggle) multiToggle.addEventListener('change', () => this.setScanMode(multiToggle.checked ? 'multi' : 'single'));
+    const continuousToggle = document.getElementById('continuous-mode-toggle');
+    if (continuousToggle) {
+      continuousToggle.addEventListener('change', () => this.setScanMode(continuousToggle.checked ? 'continuous' : 'single'));
+    }
+    const continuousStopBtn = document.getElementById('continuous-stop-btn');
+    if (continuousStopBtn) continuousStopBtn.addEventListener('click', () => this.stopContinuousScan());
+    const multiList = document.getElementById('multi-list');
+    if (multiList) {
+      multiList.addEventListener('change', (e) => this.toggleDetection(e.target));
+      multiList.addEventListener('click', (e) => {
+        const depositBtn = e.target.closest('[data-deposit-id]');
+        if (!depositBtn) return;
+        e.preventDefault(); // está dentro del label del checkbox
+        this.depositDetection(Number(depositBtn.getAttribute('data-deposit-id')));
+      });
+    }
+    const multiConfirmBtn = document.getElementById('multi-confirm-btn');
+    if (multiConfirmBtn) multiConfirmBtn.addEventListener('click', () => this.confirmDetections());
+
+    const barcodeBtn = document.getElementById('barcode-btn');
+    const barcodeCancelBtn = document.getElementById('barcode-cancel-btn');
+    if (barcodeBtn) barcodeBtn.addEventListener('click', () => this.startBarcodeScan());
+    if (barcodeCancelBtn) barcodeCancelBtn.addEventListener('click', () => this.stopCodeScan());
+
+    const depositScanBtn = document.getElementById('deposit-scan-btn');
+    if (depositScanBtn) depositScanBtn.addEventListener('click', () => this.startDepositScan());
+    const depositQueue = document.getElementById('deposit-queue-list');
+    if (depositQueue) {
+      depositQueue.addEventListener('click', (e) => {
+        const chip = e.target.closest('[data-deposit-scan]');
+        if (chip) this.selectDeposit(chip.getAttribute('data-deposit-scan'));
+      });
+    }
+    const depositDismissBtn = document.getElementById('deposit-dismiss-btn');
+    if (depositDismissBtn) {
+      depositDismissBtn.addEventListener('click', () => {
+        if (this.deposit) this.removeDeposit(this.deposit.scanId);
+      });
+    }
+    const depositForm = document.getElementById('deposit-code-form');
+    if (depositForm) {
+      depositForm.addEventListener('submit', (event) => {
+        event.preventDefault();
+        const codigo = document.getElementById('deposit-code').value.trim();
+        if (codigo) this.submitDeposit({ codigo });
+      });
+    }
+
+    const contributeForm = document.getElementById('product-contribute');
+    if (contributeForm) {
+      contributeForm.addEventListener('submit', (event) => this.submitProductContribution(event));
+      document.getElementById('contribute-add-part').addEventListener('click', () => this.addContributePart());
+      document.getElementById('contribute-cancel').addEventListener('click', () => contributeForm.classList.add('hidden'));
+    }
+
+    const guideSearch = document.getElementById('guide-search');
+    if (guideSearch) {
+      guideSearch.addEventListener('input', () => {
+        clearTimeout(this._guideTimer);
+        this._guideTimer = setTimeout(() => this.searchGuide(guideSearch.value), 150);
+      });
+    }
+
+    const regionSelect = document.getElementById('region-select');
+    if (regionSelect) regionSelect.addEventListener('change', () => this.changeRegionProfile(regionSelect.value));
+
+    const historyFilters = document.getElementById('history-filters');
+    if (historyFilters) {
+      const applyFilters = () => {
+        clearTimeout(this._historySearchTimer);
+        this.readHistoryForm();
+      };
+      historyFilters.addEventListener('submit', (event) => {
+        event.preventDefault();
+        applyFilters();
+      });
+      document.getElementById('history-q').addEventListener('input', () => {
+        clearTimeout(this._historySearchTimer);
+        this._historySearchTimer = setTimeout(() => this.readHistoryForm(), 300);
+      });
+      HISTORY_FILTER_FIELDS.filter(field => field !== 'q').forEach(field => {
+        document.getElementById(`history-${field}`).addEventListener('change', applyFilters);
+      });
+      document.getElementById('history-clear').addEventListener('click', () => {
+        clearTimeout(this._historySearchTimer);
+        this.setHistoryFilters({});
+      });
+      document.getElementById('history-more').addEventListener('click', () => this.loadHistoryFromBackend());
+      this.watchHistorySentinel();
+    }
+
+    document.querySelectorAll('#history-export .export-btn').forEach(btn => {
+      btn.addEventListener('click', () => this.exportHistory(btn.dataset.format));
+    });
+
+    const correctBtn = document.getElementById('correct-result-btn');
+    if (correctBtn) correctBtn.addEventListener('click', () => this.toggleCorrectionPanel());
+
+    const logoutBtn = document.getElementById('logout-btn');
+    if (logoutBtn) logoutBtn.addEventListener('click', () => this.logout());
 
     // Delegación para botones de premios
     document.addEventListener('click', (e) => {
@@ -103,6 +355,77 @@ class EcoRecycleApp {
         this.claimReward(rewardId);
       }
     });
+
+    // Alternativas y catálogo del panel "¿No es correcto?"
+    ['correction-options', 'result-alternatives-list'].forEach(id => {
+      const list = document.getElementById(id);
+      if (!list) return;
+      list.addEventListener('click', (e) => {
+        const material = e.target.closest('[data-material]');
+        if (material) this.submitCorrection(material.getAttribute('data-material'));
+      });
+    });
+  }
+
+  // ------------------- Sesión ---------------------------
+  startSessionWatch(sessionConfig = {}) {
+    // Cierre hecho en otra pestaña (logout, expiración o inactividad)
+    Session.onSignOut((reason) => this.endSession(reason, { broadcast: false }));
+
+    const minutes = Number(sessionConfig.idleTimeoutMinutes) || 0;
+    if (!minutes) return;
+
+    this.idleTimer = new IdleTimer({
+      timeout: minutes * 60000,
+      warningTime: (Number(sessionConfig.idleWarningSeconds) || 0) * 1000,
+      onWarn: (remaining) => this.showNotification(
+        `Tu sesión se cerrará en ${Math.ceil(remaining / 1000)} s por inactividad. Toca la pantalla para continuar.`,
+        'warning',
+        remaining
+      ),
+      onExpire: () => this.endSession('idle')
+    });
+    this.idleTimer.start();
+  }
+
+  logout() {
+    return this.endSession('logout');
+  }
+
+  // Detiene todo lo que siga vivo, borra los datos en memoria y vuelve al login
+  async endSession(reason, { broadcast = true } = {}) {
+    if (this._endingSession) return;
+    this._endingSession = true;
+
+    this.live.stop();
+    clearInterval(this.queueTimer);
+    this.queueTimer = null;
+    this.codeScanning = false;
+    clearTimeout(this.codeTimer);
+    this.continuous = null;
+    clearTimeout(this.continuousTimer);
+    if (this.idleTimer) this.idleTimer.stop();
+    this.camera.stop();
+    if (this.recognition) this.recognition.abort();
+
+    this.serverHistory = [];
+    this.historyPage = newHistoryPage();
+    if (this.historyObserver) this.historyObserver.disconnect();
+    this.rewards = [];
+    this.stats = null;
+    this.notifications = [];
+    this.userPoints = 0;
+    this.userPointsTotal = 0;
+    // Lo encolado se queda para la próxima sesión de la cuenta, pero sin token para el service worker
+    if (ScanQueue.isSupported) await this.scanQueue.clearSyncCredentials().catch(() => {});
+
+    if (broadcast) {
+      const refreshToken = Session.refreshToken;
+      Session.signOut(reason);
+      if (refreshToken) await Api.logout(refreshToken).catch(() => {});
+    }
+
+    window.location.href = reason === 'logout' ? LOGIN_URL : `${LOGIN_URL}?expired=1`;
   }
 
   async startCamera() {
@@ -111,15 +434,16 @@ class EcoRecycleApp {
     const scanBtn = document.getElementById('scan-btn');
     const captureBtn = document.getElementById('capture-btn');
 
-    if (navigator.mediaDevices && navigator.mediaDevices.getUserMedia) {
+    if (Camera.isSupported) {
         try {
-            const stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
-            video.srcObject = stream;
-            this.stream = stream; // Guardar el stream para detenerlo después
+            await this.camera.open(video);
+            this.hideDetections();
             video.classList.remove('hidden');
             scanPlaceholder.classList.add('hidden');
             scanBtn.classList.add('hidden');
-            captureBtn.classList.remove('hidden');
+            this.showCameraToolbar();
+            if (this.continuousMode) this.startContinuousScan(video);
+            else captureBtn.classList.remove('hidden');
         } catch (error) {
             console.error("Error al acceder a la cámara: ", error);
             alert("No se pudo acceder a la cámara. Asegúrate de dar permisos.");
@@ -135,20 +459,12 @@ class EcoRecycleApp {
 
   async captureAndClassify() {
     const video = document.getElementById('camera-stream');
-    const canvas = document.getElementById('camera-canvas');
-    const context = canvas.getContext('2d');
-
-    // Ajustar tamaño del canvas al del video
-    canvas.width = video.videoWidth;
-    canvas.height = video.videoHeight;
 
-    // Dibujar el frame actual del video en el canvas
-    context.drawImage(video, 0, 0, canvas.width, canvas.height);
+    // Tomar el frame actual ya reducido al tamaño del modelo
+    const image = await this.prepareImage(video);
 
     // Detener el stream de la cámara
-    if (this.stream) {
-        this.stream.getTracks().forEach(track => track.stop());
-    }
+    this.stopCamera();
 
     // Resetear la UI
     this.resetScannerUI();
@@ -158,13 +474,26 @@ class EcoRecycleApp {
     document.getElementById('scan-placeholder').classList.add('hidden');
     document.getElementById('scan-result').classList.add('hidden');
 
+    if (image) await this.analyzeImage(image, uploadFilename('capture', image));
+    else document.getElementById('scanning-animation').classList.add('hidden');
+  }
+
+  stopCamera() {
+    this.camera.stop();
+    document.getElementById('camera-toolbar').classList.add('hidden');
+    document.getElementById('focus-ring').classList.add('hidden');
+  }
 
-    canvas.toBlob(async (blob) => {
-        const formData = new FormData();
-        // El nombre 'file' es importante, el backend espera ese nombre
-        formData.append('file', blob, 'capture.jpg');
-        await this.sendImageForClassification(formData);
-    }, 'image/jpeg');
+  // Apaga la cámara (foto, código de barras o QR) y deja el escáner como al inicio
+  closeCamera() {
+    if (this.codeScanning) {
+      this.stopCodeScan();
+    } else if (this.continuous) {
+      this.stopContinuousScan();
+    } else if (this.camera.active) {
+      this.stopCamera();
+      this.resetScannerUI();
+    }
   }
 
   resetScannerUI() {
@@ -179,37 +508,71 @@ class EcoRecycleApp {
     const file = event.target.files[0];
     if (!file) return;
 
-    const formData = new FormData();
-    formData.append('file', file);
-
     // Mostrar animación
+    this.hideDetections();
     document.getElementById('scan-placeholder').classList.add('hidden');
     document.getElementById('scanning-animation').classList.remove('hidden');
     document.getElementById('scan-result').classList.add('hidden');
 
-    await this.sendImageForClassification(formData);
+    // Nunca se sube el archivo original: puede pesar varios MB y traer el GPS en el EXIF
+    const image = await this.prepareImage(file);
+    if (image) {
+      await this.analyzeImage(image, uploadFilename(file.name, image));
+    } else {
+      document.getElementById('scanning-animation').classList.add('hidden');
+      document.getElementById('scan-placeholder').classList.remove('hidden');
+    }
 
     // Limpiar el input para poder tomar la misma foto otra vez
     event.target.value = '';
   }
 
-  async sendImageForClassification(formData) {
+  // Redimensiona, endereza y quita metadatos; null si la imagen no se pudo leer
+  async prepareImage(source) {
     try {
-        const response = await fetch(`${API_BASE_URL}/classify`, {
-            method: 'POST',
-            body: formData,
-        });
+      return await preprocessImage(source, getConfig()?.image);
+    } catch (error) {
+      console.error('No pude preparar la imagen:', error);
+      this.showError(null, error.message || 'No se pudo leer la imagen.');
+      return null;
+    }
+  }
+
+  // Un objeto (/classify) o varios (/detect) según el modo elegido
+  analyzeImage(image, filename) {
+    return this.multiMode ? this.sendImageForDetection(image, filename) : this.sendImageForClassification(image, filename);
+  }
 
-        if (!response.ok) {
-            throw new Error(`Error del servidor: ${response.statusText}`);
+  async sendImageForClassification(image, filename = 'capture.jpg') {
+    const capturedAt = Date.now();
+    // Una foto repetida no se vuelve a subir: se muestra lo que ya dijo la IA
+    const { hash, repeated } = await this.findRepeatedScan(image);
+    try {
+        if (repeated) {
+          this.lastScan = { image, filename };
+          this.displayScanResult({ item: repeated.item, points: 0, duplicate: true });
+          return;
         }
 
-        const result = await response.json();
+        // Sin red ni lo intentamos: va directo a la cola
+        if (!navigator.onLine) throw new ApiError('Sin conexión', { code: 'network', endpoint: '/classify' });
+
+        const result = await Api.classify(buildScanForm(image, filename, capturedAt, hash));
+        if (hash) this.recentScans.add(hash, result.item);
+        this.lastScan = { image, filename };
         this.displayScanResult(result);
+        this.flushScanQueue(); // hay conexión: aprovecha para enviar lo pendiente
 
     } catch (error) {
         console.error('Error al clasificar la imagen:', error);
-        alert('No se pudo conectar con el servidor de IA. Revisa la URL de la API y que el servidor esté funcionando.');
+        if (isRetriableScanError(error)) {
+          const estimate = await this.estimateOffline(image);
+          if (await this.queueScan(image, filename, capturedAt, estimate, hash)) {
+            if (estimate) this.displayScanResult({ ...estimate, points: 0, offline: true });
+            return;
+          }
+        }
+        this.showError(error, 'No se pudo conectar con el servidor de IA. Intenta de nuevo en un momento.');
     } finally {
         // Ocultar animación y restaurar placeholder
         document.getElementById('scanning-animation').classList.add('hidden');
@@ -218,7 +581,168 @@ class EcoRecycleApp {
   }
 
 
+  /**
+   * Primer filtro contra escaneos repetidos; el backend lo vuelve a verificar
+   * @returns {Promise<{hash: string|null, repeated: object|null}>} - hash en hex para /classify
+   */
+  async findRepeatedScan(image) {
+    const hash = await blobHash(image);
+    if (!hash) return { hash: null, repeated: null };
+    return { hash: hashToHex(hash), repeated: this.recentScans.find(hash) };
+  }
+
+  /**
+   * Modelo del dispositivo (config "localModel"), para cuando el servidor no responde
+   * @returns {Promise<object|null>} - { item, confidence, alternatives }; null si está apagado o no cargó
+   */
+  async estimateOffline(image) {
+    if (!isFeatureEnabled('localModel')) return null;
+    try {
+      return await classifyLocally(image, getConfig().localModel);
+    } catch (error) {
+      console.error('No pude clasificar en el dispositivo:', error);
+      return null;
+    }
+  }
+
+  // ---------------- Cola sin conexión ------------------
+  watchScanQueue() {
+    if (!ScanQueue.isSupported) return;
+
+    this.scanQueue.onChange(() => this.updatePendingScans());
+    // Lo que envió el service worker (Background Sync) se muestra como lo enviado desde aquí
+    if ('serviceWorker' in navigator) {
+      navigator.serviceWorker.addEventListener('message', (e) => {
+        if (e.data && e.data.type === 'scan-queue-sent') this.flushScanQueue();
+      });
+    }
+    // Sin Background Sync, o si el token del service worker venció, la envía la app:
+    // al volver la red y, como navigator.onLine no garantiza que el backend responda, cada minuto
+    window.addEventListener('online', () => this.flushScanQueue());
+    this.queueTimer = setInterval(() => this.flushScanQueue(), 60000);
+
+    this.updatePendingScans();
+    this.flushScanQueue();
+  }
+
+  // Guarda el escaneo para enviarlo después; false si no se pudo guardar
+  async queueScan(blob, filename, capturedAt, estimate = null, hash = null) {
+    if (!ScanQueue.isSupported) return false;
+    try {
+      await this.scanQueue.add({
+        email: Session.email, blob, filename, capturedAt, hash,
+        estimate: estimate && { item: estimate.item, confidence: estimate.confidence }
+      });
+      this.showNotification('Sin conexión: guardamos tu escaneo y lo enviaremos cuando vuelva la señal.', 'warning');
+    } catch (error) {
+      console.error('No pude guardar el escaneo pendiente:', error);
+      return false;
+    }
+
+    try {
+      await this.scanQueue.requestSync({
+        email: Session.email,
+        apiBaseUrl: new URL(Api.baseUrl, window.location.href).href.replace(/\/$/, ''),
+        token: Session.accessToken
+      });
+    } catch (error) {
+      console.error('No pude programar el envío en segundo plano:', error);
+    }
+    return true;
+  }
+
+  // Envía los escaneos pendientes en orden; se detiene al primer fallo de red
+  async flushScanQueue() {
+    const correo = Session.email;
+    if (this._flushingQueue || !correo || !navigator.onLine) return;
+    this._flushingQueue = true;
+
+    let sent = 0;
+    let points = 0;
+    let awaiting = 0;  // puntos que esperan el QR de la caneca
+    let repeated = 0;  // fotos parecidas a otra ya enviada: no se suben
+    let corrected = 0; // estimaciones sin conexión que el servidor clasificó distinto
+    try {
+      // El service worker no envía la cola mientras tanto; lo que ya envió trae su result
+      await this.scanQueue.withLock(async () => {
+        const scans = await this.scanQueue.list(correo);
+        for (const scan of scans) {
+          try {
+            // Los escaneos encolados antes de guardar el hash lo calculan ahora
+            const hash = scan.hash || (await this.findRepeatedScan(scan.blob)).hash;
+            let result = scan.result;
+            if (!result) {
+              if (hash && this.recentScans.find(hexToHash(hash))) {
+                await this.scanQueue.remove(scan.id);
+                repeated++;
+                continue;
+              }
+              result = await Api.classify(buildScanForm(scan.blob, scan.filename, scan.capturedAt, hash));
+            }
+            await this.scanQueue.remove(scan.id);
+            if (hash && result) this.recentScans.add(hash, result.item);
+            sent++;
+            // Los que quedan esperando el QR de la caneca van a la lista del depósito
+            if (result?.pending_deposit && result.scan_id) {
+              awaiting += Number(result.points) || 0;
+              this.showDeposit({ scanId: result.scan_id, item: result.item, points: Number(result.points) || 0 });
+            } else {
+              points += Number(result?.points) || 0;
+            }
+            if (scan.estimate && result && !this.catalog.sameMaterial(scan.estimate.item, result.item)) corrected++;
+          } catch (error) {
+            if (!isRejectedScan(error)) break; // se reintenta más tarde
+            // El servidor vio la foto y la rechazó: reintentarla no cambia nada
+            console.error('Escaneo pendiente rechazado:', error);
+            await this.scanQueue.remove(scan.id);
+          }
+        }
+      });
+    } catch (error) {
+      console.error('No pude leer los escaneos pendientes:', error);
+    } finally {
+      this._flushingQueue = false;
+    }
+
+    if (sent) {
+      this.addNotification([
+        points > 0 ? `Se enviaron ${sent} escaneo(s) pendiente(s): +${points} puntos` : `Se enviaron ${sent} escaneo(s) pendiente(s)`,
+        awaiting > 0 ? `deposítalos en su caneca para sumar +${awaiting}` : ''
+      ].filter(Boolean).join('; '));
+      if (corrected) this.showNotification(`El servidor corrigió ${corrected} estimación(es) hecha(s) sin conexión.`, 'warning');
+    }
+    if (repeated) {
+      this.showNotification(`Descartamos ${repeated} escaneo(s) pendiente(s) repetido(s): no suman puntos.`, 'warning');
+    }
+  }
+
+  async updatePendingScans() {
+    let count = 0;
+    try {
+      count = await this.scanQueue.count(Session.email);
+    } catch (error) {
+      console.error('No pude contar los escaneos pendientes:', error);
+    }
+
+    setText('pending-scans-count', count);
+    setText('pending-scans-badge', count);
+    ['pending-scans', 'pending-scans-badge'].forEach(id => {
+      const el = document.getElementById(id);
+      if (el) el.classList.toggle('hidden', count === 0);
+    });
+  }
+
+  /**
+   * Pinta la tarjeta de resultado (clasificación real, simulada, corregida o por voz).
+   * Caneca, color e instrucciones salen del catálogo.
+   * @param {object} result - item, points y, si vienen del modelo,
+   *                          confidence (0..1) y alternatives [{ item, confidence }];
+   *                          con pending_deposit los puntos esperan el QR de la caneca
+   */
   displayScanResult(result) {
+      this.scanResult = result;
+      const view = this.catalog.describe(result, this.regionProfile);
+
       const scanResultEl = document.getElementById('scan-result');
       const resultItem = document.getElementById('result-item');
       const resultBin = document.getElementById('result-bin');
@@ -226,247 +750,1055 @@ class EcoRecycleApp {
       const resultInstructions = document.getElementById('result-instructions');
       const pointsEarnedSpan = document.getElementById('points-earned');
       const resultPoints = document.getElementById('result-points');
+      if (!scanResultEl) return;
 
-      if (result.error) {
-          alert(`Error: ${result.error}`);
-          scanResultEl.classList.add('hidden');
-          return;
-      }
-
-      resultItem.textContent = result.item;
-      resultBin.textContent = result.bin;
-      resultInstructions.textContent = result.instructions;
-      
-      // Asignar color a la caneca
-      const binColors = {
-          'Verde (Orgánicos)': 'bg-green-500',
-          'Azul (Aprovechables)': 'bg-blue-500',
-          'Negro (No aprovechables)': 'bg-gray-800',
-          'Blanco (Aprovechables)': 'bg-gray-200'
-      };
-      resultBinColor.className = `w-8 h-8 rounded-full mr-3 ${binColors[result.bin] || 'bg-gray-400'}`;
+      resultItem.textContent = view.item;
+      resultBin.textContent = view.binLabel;
+      resultInstructions.textContent = view.instructions;
+      resultBinColor.style.backgroundColor = view.binColor || '';
 
-      if (result.points > 0) {
-          pointsEarnedSpan.textContent = result.points;
+      const awaitingDeposit = Boolean(result.pending_deposit && result.scan_id);
+      if (view.recyclable && view.points > 0 && !awaitingDeposit) {
+          pointsEarnedSpan.textContent = view.points;
           resultPoints.classList.remove('hidden');
-          this.fetchPoints(); // Actualizar puntos del usuario
       } else {
           resultPoints.classList.add('hidden');
       }
 
+      // Segundo paso: se suman al escanear el QR de la caneca correcta
+      if (awaitingDeposit) {
+          this.showDeposit({ scanId: result.scan_id, item: result.item, points: view.points }, (res) => {
+              if (this.scanResult !== result) return;
+              this.displayScanResult({ ...result, points: res.points, pending_deposit: false, daily_limit: res.daily_limit });
+          });
+      }
+
+      // El backend no acreditó: foto repetida o tope diario
+      const reason = noPointsReason(result);
+      const noPoints = document.getElementById('result-no-points');
+      if (noPoints) noPoints.classList.toggle('hidden', !reason);
+      setText('result-no-points-text', reason);
+
+      const offlineNote = document.getElementById('result-offline');
+      if (offlineNote) offlineNote.classList.toggle('hidden', !result.offline);
+
+      const voiceNote = document.getElementById('result-voice');
+      if (voiceNote) voiceNote.classList.toggle('hidden', !result.transcript);
+      setText('result-transcript', result.transcript || '');
+
+      this.renderConfidence(result);
+      this.resetCorrection(result);
       scanResultEl.classList.remove('hidden');
   }
 
-  // ---------------- Navegación/pestañas ----------------
-  switchTab(tabName) {
-    document.querySelectorAll('.tab-content').forEach(tab => tab.classList.add('hidden'));
-    const tabEl = document.getElementById(`${tabName}-tab`);
-    if (tabEl) tabEl.classList.remove('hidden');
+  renderConfidence(result) {
+      const confidenceEl = document.getElementById('result-confidence');
+      const alternativesEl = document.getElementById('result-alternatives');
+      const hasConfidence = typeof result.confidence === 'number';
+      const alternatives = (result.alternatives || []).filter(alt => alt && alt.item && alt.item !== result.item);
+
+      if (confidenceEl) confidenceEl.classList.toggle('hidden', !hasConfidence);
+      if (hasConfidence) {
+          const percent = Math.round(Math.max(0, Math.min(1, result.confidence)) * 100);
+          setText('result-confidence-value', `${percent}%`);
+          const fill = document.getElementById('result-confidence-fill');
+          if (fill) {
+              fill.style.width = `${percent}%`;
+              fill.classList.toggle('low', percent < LOW_CONFIDENCE);
+          }
+      }
 
-    document.querySelectorAll('.nav-btn').forEach(btn => btn.classList.remove('active'));
-    const navEl = document.querySelector(`[data-tab="${tabName}"]`);
-    if (navEl) navEl.classList.add('active');
+      if (alternativesEl) alternativesEl.classList.toggle('hidden', alternatives.length === 0);
+      renderChips('result-alternatives-list', alternatives.map(alt => ({
+          material: alt.item,
+          label: typeof alt.confidence === 'number' ? `${alt.item} · ${Math.round(alt.confidence * 100)}%` : alt.item
+      })));
+  }
 
-    this.activeTab = tabName;
+  // ---------------- Corrección del resultado -----------
+  resetCorrection(result) {
+      const panel = document.getElementById('correction-panel');
+      const button = document.getElementById('correct-result-btn');
+      const corrected = document.getElementById('result-corrected');
+      if (panel) panel.classList.add('hidden');
+      // Sin foto no hay nada que reentrenar: a la voz no se le ofrece corregir;
+      // la estimación sin conexión la revisa el servidor al enviar la cola
+      if (button) button.classList.toggle('hidden', Boolean(result.corrected) || result.source === 'voice' || Boolean(result.offline));
+      if (corrected) corrected.classList.toggle('hidden', !result.corrected);
+  }
 
-    // 🔵 Carga el historial real del backend al abrir la pestaña
-    if (tabName === 'history') {
-      this.loadHistoryFromBackend().then(() => this.renderHistory());
+  toggleCorrectionPanel() {
+      const panel = document.getElementById('correction-panel');
+      if (!panel || !this.scanResult) return;
+
+      // Primero las alternativas del modelo, luego el resto del catálogo
+      const suggested = (this.scanResult.alternatives || []).map(alt => alt.item);
+      const materials = [...new Set([...suggested, ...this.catalog.names])]
+          .filter(material => material && material !== this.scanResult.item);
+      renderChips('correction-options', materials.map(material => ({ material, label: material })));
+
+      panel.classList.toggle('hidden');
+  }
+
+  /**
+   * Envía al backend la etiqueta correcta (con la foto, si la hay) para reentrenar
+   * y muestra la caneca del material elegido
+   */
+  async submitCorrection(material) {
+      const predicted = this.scanResult;
+      if (!predicted || predicted.corrected || !material || material === predicted.item) return;
+
+      const formData = new FormData();
+      if (this.lastScan) formData.append('file', this.lastScan.image, this.lastScan.filename);
+      formData.append('predicted', predicted.item);
+      formData.append('corrected', material);
+      if (typeof predicted.confidence === 'number') formData.append('confidence', String(predicted.confidence));
+      if (predicted.scan_id) formData.append('scan_id', predicted.scan_id);
+
+      let res;
+      try {
+          res = await Api.sendFeedback(formData);
+      } catch (error) {
+          console.error('No pude enviar la corrección:', error);
+          this.showError(error, 'No pudimos enviar tu corrección. Intenta de nuevo en un momento.');
+          return;
+      }
+
+      // Lo pendiente era por el material que dijo la IA; el backend lo cambia por uno
+      // del material corregido, que se deposita en su caneca
+      if (predicted.scan_id) this.removeDeposit(predicted.scan_id);
+      this.displayScanResult({
+          item: material,
+          points: Number(res?.points) || 0,
+          scan_id: res?.scan_id,
+          pending_deposit: Boolean(res?.pending_deposit),
+          corrected: true
+      });
+      this.addNotification('¡Gracias! Usaremos tu corrección para mejorar la IA.');
+  }
+
+  // Una foto, varios objetos o continuo; los modos se excluyen entre sí
+  setScanMode(mode) {
+    this.multiMode = mode === 'multi';
+    this.continuousMode = mode === 'continuous';
+    document.getElementById('multi-mode-toggle').checked = this.multiMode;
+    document.getElementById('continuous-mode-toggle').checked = this.continuousMode;
+    this.closeCamera(); // la cámara abierta quedó en el modo anterior
+  }
+
+  // ------------------ Escaneo continuo ------------------
+  // Toma un frame cada intervalMs y llama a /classify solo cuando aparece algo nuevo
+  startContinuousScan(video) {
+    const options = { ...CONTINUOUS_DEFAULTS, ...getConfig()?.continuousScan };
+    this.continuous = { background: null, previous: null, lastSent: null, count: 0 };
+
+    document.getElementById('continuous-stop-btn').classList.remove('hidden');
+    document.getElementById('continuous-overlay').classList.remove('hidden');
+    document.getElementById('continuous-dot').classList.add('hidden');
+    setText('continuous-count', 0);
+    setText('continuous-status', 'Muestra un objeto a la cámara');
+
+    const tick = async () => {
+      if (!this.continuous) return;
+      try {
+        await this.sampleContinuousFrame(video, options);
+      } catch (error) {
+        console.error('Error en el escaneo continuo:', error);
+      }
+      if (this.continuous) this.continuousTimer = setTimeout(tick, options.intervalMs);
+    };
+    this.continuousTimer = setTimeout(tick, options.intervalMs);
+  }
+
+  /**
+   * Compara el dHash del frame con el anterior (¿se movió?), con el fondo (¿no hay nada?)
+   * y con el último objeto enviado (¿sigue el mismo?)
+   */
+  async sampleContinuousFrame(video, { stableThreshold, changeThreshold }) {
+    const state = this.continuous;
+    const hash = imageHash(video);
+    if (!hash) return;
+
+    const previous = state.previous;
+    state.previous = hash;
+    if (!previous || hammingDistance(hash, previous) > stableThreshold) return; // aún se está moviendo
+
+    // La primera escena quieta es el fondo; volver a él deja listo el siguiente objeto
+    if (!state.background) {
+      state.background = hash;
+      return;
     }
-    if (tabName === 'rewards') this.renderRewards();
+    if (hammingDistance(hash, state.background) <= changeThreshold) {
+      state.lastSent = null;
+      return;
+    }
+    if (state.lastSent && hammingDistance(hash, state.lastSent) <= changeThreshold) return;
+
+    state.lastSent = hash;
+    await this.classifyContinuousFrame(video);
   }
 
+  async classifyContinuousFrame(video) {
+    const capturedAt = Date.now();
+    const image = await preprocessImage(video, getConfig()?.image).catch(() => null);
+    if (!image) return;
+    const filename = uploadFilename('capture', image);
+    setText('continuous-status', 'Analizando…');
 
-  // ------------------- Escaneo (sim) -------------------
-  simulateAIScan() {
-    if (this.isScanning) return;
-    this.isScanning = true;
+    const { hash, repeated } = await this.findRepeatedScan(image);
+    try {
+      const result = repeated
+        ? { item: repeated.item, points: 0, duplicate: true }
+        : await Api.classify(buildScanForm(image, filename, capturedAt, hash));
+      if (hash && !repeated) this.recentScans.add(hash, result.item);
+      this.lastScan = { image, filename };
+      this.displayScanResult(result);
+      if (!this.continuous) return;
+
+      const view = this.catalog.describe(result, this.regionProfile);
+      const dot = document.getElementById('continuous-dot');
+      dot.style.backgroundColor = view.binColor || '';
+      dot.classList.remove('hidden');
+      setText('continuous-status', `${view.item} → ${view.binLabel}`);
+      if (!repeated) setText('continuous-count', ++this.continuous.count);
+    } catch (error) {
+      console.error('Error al clasificar en modo continuo:', error);
+      const estimate = isRetriableScanError(error) ? await this.estimateOffline(image) : null;
+      const queued = isRetriableScanError(error) && await this.queueScan(image, filename, capturedAt, estimate, hash);
+      if (queued && estimate) this.displayScanResult({ ...estimate, points: 0, offline: true });
+      if (!this.continuous) return;
+      const status = queued ? 'Guardado para enviar luego' : 'No pude clasificarlo, inténtalo otra vez';
+      setText('continuous-status', queued && estimate
+        ? `${this.catalog.describe(estimate, this.regionProfile).item} (sin conexión) · ${status}`
+        : status);
+    }
+  }
 
-    const ph = document.getElementById('scan-placeholder');
-    if (ph) ph.classList.add('hidden');
-    const anim = document.getElementById('scanning-animation');
-    if (anim) anim.classList.remove('hidden');
-    const scanBtn = document.getElementById('scan-btn');
-    if (scanBtn) scanBtn.setAttribute('disabled', 'true');
-    const sr = document.getElementById('scan-result');
-    if (sr) sr.classList.add('hidden');
+  stopContinuousScan() {
+    this.continuous = null;
+    clearTimeout(this.continuousTimer);
+    this.stopCamera();
+    ['continuous-stop-btn', 'continuous-overlay'].forEach(id => document.getElementById(id).classList.add('hidden'));
+    this.resetScannerUI();
+  }
 
-    setTimeout(async () => {
-      const items = Object.keys(this.recyclingData);
-      const randomItem = items[Math.floor(Math.random() * items.length)];
-      const result = this.recyclingData[randomItem];
+  // ------------- Varios objetos en una foto -------------
+  // Sin cola offline: la detección necesita que el usuario revise el resultado
+  async sendImageForDetection(image, filename = 'capture.jpg') {
+    let shown = false;
+    try {
+      if (!navigator.onLine) throw new ApiError('Necesitas conexión para detectar varios objetos', { code: 'network', endpoint: '/detect' });
 
-      this.scanResult = { item: randomItem, ...result };
-      this.displayScanResult();
+      // Igual que con un objeto: una foto repetida no se vuelve a subir
+      const { hash, repeated } = await this.findRepeatedScan(image);
+      if (repeated) {
+        this.showNotification('Ya analizamos esta foto hace poco: no vuelve a sumar puntos.', 'warning');
+        return;
+      }
+      const result = await Api.detect(buildScanForm(image, filename, Date.now(), hash));
+      const first = result && result.detections && result.detections[0];
+      if (hash && first) this.recentScans.add(hash, first.item);
+      shown = await this.displayDetections(result, image);
+    } catch (error) {
+      console.error('Error al detectar objetos:', error);
+      this.showError(error, 'No se pudo analizar la foto. Intenta de nuevo en un momento.');
+    } finally {
+      document.getElementById('scanning-animation').classList.add('hidden');
+      if (!shown) document.getElementById('scan-placeholder').classList.remove('hidden');
+    }
+  }
 
-      if (result.recyclable && result.points > 0) {
-        // Registrar puntos en backend y refrescar saldos
-        const correo = localStorage.getItem("userEmail");
-        try {
-          await fetch(`${API_BASE}/puntos/agregar`, {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({ correo, puntos: result.points })
-          });
-        } catch (_) {}
-        this.addNotification(`¡Bien hecho! +${result.points} puntos por reciclar correctamente`);
-        this.addToHistory(randomItem, result.points);
-        await this.fetchPoints();  // saldo y total actualizados
-        await this.loadHistoryFromBackend();
-        this.renderHistory();
+  /**
+   * Dibuja las cajas sobre la foto y lista cada objeto con su caneca; todos empiezan marcados
+   * @returns {Promise<boolean>} - False si no se detectó nada
+   */
+  async displayDetections(result, image) {
+    const detections = (result && result.detections) || [];
+    if (!detections.length) {
+      this.showNotification('No encontré objetos en la foto. Acércate un poco más e intenta de nuevo.', 'warning');
+      return false;
+    }
+
+    this.detection = {
+      id: result.id,
+      detections,
+      selected: new Set(detections.map(d => d.id)),
+      image: await createImageBitmap(image).catch(() => null), // sin imagen igual se muestra la lista
+      confirmed: false,
+      deposits: null                  // id del objeto → { scan_id, item, points, done } tras confirmar
+    };
+    this.renderDetections();
+
+    document.getElementById('scan-result').classList.add('hidden');
+    document.getElementById('product-result').classList.add('hidden');
+    document.getElementById('multi-result').classList.remove('hidden');
+    return true;
+  }
+
+  renderDetections() {
+    const { detections, selected, image, confirmed, deposits } = this.detection;
+    const canvas = document.getElementById('camera-canvas');
+    if (canvas && image) {
+      drawDetections(canvas, image, detections, selected);
+      canvas.classList.remove('hidden');
+      document.getElementById('scan-placeholder').classList.add('hidden');
+    }
+
+    let total = 0;
+    const list = document.getElementById('multi-list');
+    list.innerHTML = detections.map((detection, i) => {
+      const info = this.catalog.describe(detection, this.regionProfile);
+      const points = info.recyclable ? info.points : 0;
+      const isSelected = selected.has(detection.id);
+      if (isSelected) total += points;
+      const deposit = deposits && deposits.get(detection.id);
+      const depositAction = !deposit ? ''
+        : deposit.done
+          ? '<span class="deposit-done"><i class="fas fa-check-circle"></i> Depositado</span>'
+          : `<button type="button" class="deposit-btn" data-deposit-id="${escapeHtml(detection.id)}">Depositar</button>`;
+      return `
+        <label class="detection-item ${isSelected ? '' : 'deselected'}">
+          <input type="checkbox" data-detection-id="${escapeHtml(detection.id)}" ${isSelected ? 'checked' : ''} ${confirmed ? 'disabled' : ''}>
+          <span class="detection-swatch" style="background-color: ${detectionColor(i)}"></span>
+          <span>
+            <span class="block font-semibold text-gray-800 text-sm capitalize">${i + 1}. ${escapeHtml(info.item)}</span>
+            <span class="block text-xs text-gray-500">
+              <span class="bin-dot-sm bin-dot" style="background-color: ${escapeHtml(info.binColor || '')}"></span>Caneca ${escapeHtml(info.binLabel)}
+            </span>
+          </span>
+          <span class="points">${points > 0 ? `+${points}` : '—'}</span>${depositAction}
+        </label>`;
+    }).join('');
+
+    setText('multi-count', detections.length);
+    setText('multi-points', total);
+    const confirmBtn = document.getElementById('multi-confirm-btn');
+    confirmBtn.classList.toggle('hidden', confirmed);
+    confirmBtn.disabled = selected.size === 0;
+    document.getElementById('multi-confirmed').classList.toggle('hidden', !confirmed);
+  }
 
+  toggleDetection(checkbox) {
+    if (!this.detection || this.detection.confirmed || !checkbox.hasAttribute('data-detection-id')) return;
+    const id = Number(checkbox.getAttribute('data-detection-id'));
+    if (checkbox.checked) this.detection.selected.add(id);
+    else this.detection.selected.delete(id);
+    this.renderDetections();
+  }
+
+  // Solo cuentan los objetos que siguen marcados; cada uno suma al depositarlo en su caneca
+  async confirmDetections() {
+    const detection = this.detection;
+    if (!detection || detection.confirmed || !detection.selected.size) return;
+
+    const confirmBtn = document.getElementById('multi-confirm-btn');
+    confirmBtn.disabled = true;
+    try {
+      const res = await Api.confirmDetections(detection.id, [...detection.selected]);
+      detection.confirmed = true;
+      detection.deposits = new Map(((res && res.deposits) || []).map(d => [d.id, { ...d, done: false }]));
+      if (res && res.points > 0) this.addNotification(`¡+${res.points} puntos por reciclar ${res.items.length} objeto(s)!`);
+      if (noPointsReason(res)) this.showNotification(noPointsReason(res), 'warning');
+    } catch (error) {
+      console.error('No pude confirmar la detección:', error);
+      this.showError(error, 'No pudimos sumar tus puntos. Intenta de nuevo en un momento.');
+    } finally {
+      if (this.detection === detection) this.renderDetections();
+    }
+  }
+
+  // Abre el paso del QR para un objeto confirmado
+  depositDetection(id) {
+    const detection = this.detection;
+    const deposit = detection && detection.deposits && detection.deposits.get(id);
+    if (!deposit || deposit.done) return;
+    this.showDeposit({ scanId: deposit.scan_id, item: deposit.item, points: deposit.points, detectionId: id }, () => {
+      deposit.done = true;
+      if (this.detection === detection) this.renderDetections();
+    });
+    this.selectDeposit(deposit.scan_id);
+    document.getElementById('deposit-panel').scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+  }
+
+  // Los objetos confirmados que falten por depositar siguen en el panel del depósito
+  hideDetections() {
+    if (this.detection && this.detection.image && this.detection.image.close) this.detection.image.close();
+    this.detection = null;
+    document.getElementById('camera-canvas').classList.add('hidden');
+    document.getElementById('multi-result').classList.add('hidden');
+  }
+
+  // ---------------- Controles de la cámara --------------
+  // Muestra solo los controles que el track soporta
+  async showCameraToolbar() {
+    const canSwitch = await this.camera.canSwitch().catch(() => false);
+    if (!this.camera.active) return;
+
+    const { torch, zoom } = this.camera.capabilities;
+    document.getElementById('camera-stream').classList.toggle('mirrored', this.camera.isFrontFacing);
+    document.getElementById('camera-switch-btn').classList.toggle('hidden', !canSwitch);
+
+    const torchBtn = document.getElementById('camera-torch-btn');
+    torchBtn.classList.toggle('hidden', !torch);
+    torchBtn.setAttribute('aria-pressed', String(torch && this.camera.prefs.torch));
+
+    document.getElementById('camera-zoom-control').classList.toggle('hidden', !zoom);
+    if (zoom) Object.assign(document.getElementById('camera-zoom'), zoom);
+
+    document.getElementById('camera-toolbar').classList.remove('hidden');
+  }
+
+  async switchCamera() {
+    try {
+      await this.camera.switchFacing(document.getElementById('camera-stream'));
+      this.showCameraToolbar();
+    } catch (error) {
+      console.error('No pude cambiar de cámara:', error);
+      this.closeCamera();
+      this.showError(null, 'No se pudo cambiar de cámara.');
+    }
+  }
+
+  async toggleTorch() {
+    const on = !this.camera.prefs.torch;
+    if (await this.camera.setTorch(on)) {
+      document.getElementById('camera-torch-btn').setAttribute('aria-pressed', String(on));
+    }
+  }
+
+  // Enfoca donde se tocó el video y marca el punto con un anillo
+  async focusCamera(event) {
+    if (!this.camera.active || !this.camera.capabilities.focus) return;
+    const video = event.currentTarget;
+    const rect = video.getBoundingClientRect();
+    let x = (event.clientX - rect.left) / rect.width;
+    const y = (event.clientY - rect.top) / rect.height;
+    const ring = document.getElementById('focus-ring');
+    ring.style.left = `${x * 100}%`;
+    ring.style.top = `${y * 100}%`;
+    ring.classList.remove('hidden');
+
+    if (this.camera.isFrontFacing) x = 1 - x; // la vista previa está en espejo
+    await this.camera.focusAt(x, y);
+    clearTimeout(this._focusTimer);
+    this._focusTimer = setTimeout(() => ring.classList.add('hidden'), 1000);
+  }
+
+  // ---------------- Código de barras --------------------
+  // Lee EAN/UPC del video y busca el desglose del empaque en el backend
+  async startBarcodeScan() {
+    if (this.codeScanning) return;
+    if (!this.barcodeReader) this.barcodeReader = await createBarcodeReader();
+    const started = await this.startCodeScan(this.barcodeReader, { status: 'Apunta al código de barras del empaque' },
+      (code) => this.lookupProduct(code));
+    if (!started) return;
+
+    this.hideDetections();
+    ['scan-result', 'product-result', 'product-contribute'].forEach(id => document.getElementById(id).classList.add('hidden'));
+  }
+
+  /**
+   * Abre la cámara y lee códigos (de barras o QR) hasta que uno salga igual dos veces seguidas
+   * @param {object} reader - De createBarcodeReader() o createQrReader()
+   * @param {object} options - status: indicación sobre el video; qr: marco cuadrado en vez de línea
+   * @param {Function} onCode - Recibe el código leído, con la cámara ya apagada
+   * @returns {Promise<boolean>} - False si no se pudo abrir la cámara
+   */
+  async startCodeScan(reader, { status, qr = false }, onCode) {
+    if (this.codeScanning) return false;
+    this.closeCamera(); // foto o escaneo continuo en curso
+    const video = document.getElementById('camera-stream');
+
+    try {
+      await this.camera.open(video);
+    } catch (error) {
+      console.error('Error al acceder a la cámara: ', error);
+      this.stopCamera();
+      this.showError(null, 'No se pudo acceder a la cámara. Asegúrate de dar permisos.');
+      return false;
+    }
+    this.codeScanning = true;
+
+    ['scan-placeholder', 'scan-btn', 'capture-btn', 'barcode-btn', 'camera-canvas']
+      .forEach(id => document.getElementById(id).classList.add('hidden'));
+    ['camera-stream', 'barcode-overlay', 'barcode-cancel-btn']
+      .forEach(id => document.getElementById(id).classList.remove('hidden'));
+    document.getElementById('barcode-overlay').classList.toggle('qr', qr);
+    setText('barcode-status', status);
+    this.showCameraToolbar();
+
+    this.pollCode(video, reader, onCode);
+    return true;
+  }
+
+  // Lee un frame cada BARCODE_INTERVAL ms; acepta el código cuando sale igual dos veces seguidas
+  pollCode(video, reader, onCode) {
+    let previous = null;
+    const tick = async () => {
+      if (!this.codeScanning) return;
+      let code = null;
+      try {
+        code = await reader.detect(video);
+      } catch (error) {
+        console.error('No pude leer el frame:', error);
+      }
+      if (!this.codeScanning) return;
+
+      if (code && code === previous) {
+        this.stopCodeScan();
+        onCode(code);
+        return;
       }
+      if (code) setText('barcode-status', 'Leyendo… mantén el código quieto');
+      previous = code;
+      this.codeTimer = setTimeout(tick, BARCODE_INTERVAL);
+    };
+    tick();
+  }
+
+  stopCodeScan() {
+    this.codeScanning = false;
+    clearTimeout(this.codeTimer);
+    this.stopCamera();
+    ['barcode-overlay', 'barcode-cancel-btn'].forEach(id => document.getElementById(id).classList.add('hidden'));
+    document.getElementById('barcode-btn').classList.remove('hidden');
+    this.resetScannerUI();
+    if (this.detection) this.renderDetections(); // vuelve la foto con las cajas
+  }
 
-      if (anim) anim.classList.add('hidden');
-      if (ph) ph.classList.remove('hidden');
-      if (scanBtn) scanBtn.removeAttribute('disabled');
-      this.isScanning = false;
-    }, 2000);
+  async lookupProduct(codigo) {
+    try {
+      this.displayProduct(await Api.producto(codigo));
+    } catch (error) {
+      if (error.status === 404) {
+        this.showContributeForm(codigo);
+        return;
+      }
+      console.error('No pude consultar el producto:', error);
+      this.showError(error, 'No pudimos consultar el producto. Intenta de nuevo en un momento.');
+    }
   }
 
-  displayScanResult() {
-    const resultDiv = document.getElementById('scan-result');
-    if (!resultDiv) return;
+  /**
+   * Muestra cada componente del empaque con su caneca según el perfil de región
+   * @param {object} product - { codigo, nombre, componentes: [{ parte, material, instrucciones? }] }
+   */
+  displayProduct(product) {
+    const card = document.getElementById('product-result');
+    if (!card) return;
+    this.product = product;
 
-    const binColorDiv = document.getElementById('result-bin-color');
-    const itemSpan = document.getElementById('result-item');
-    const binSpan = document.getElementById('result-bin');
-    const instructionsP = document.getElementById('result-instructions');
-    const pointsDiv = document.getElementById('result-points');
-    const pointsEarnedSpan = document.getElementById('points-earned');
+    setText('product-name', product.nombre || 'Producto');
+    setText('product-code', `Código ${product.codigo}`);
+    this.renderProductComponents();
 
-    if (binColorDiv) binColorDiv.className = `w-8 h-8 rounded-full mr-3 ${this.scanResult.binColor}`;
-    if (itemSpan) itemSpan.textContent = this.scanResult.item;
-    if (binSpan) binSpan.textContent = this.scanResult.bin;
-    if (instructionsP) instructionsP.textContent = this.scanResult.instructions;
+    document.getElementById('scan-result').classList.add('hidden');
+    document.getElementById('product-contribute').classList.add('hidden');
+    card.classList.remove('hidden');
+  }
 
-    if (this.scanResult.recyclable && this.scanResult.points > 0) {
-      if (pointsEarnedSpan) pointsEarnedSpan.textContent = this.scanResult.points;
-      if (pointsDiv) pointsDiv.classList.remove('hidden');
-    } else {
-      if (pointsDiv) pointsDiv.classList.add('hidden');
+  renderProductComponents() {
+    const list = document.getElementById('product-components');
+    if (!list || !this.catalog) return;
+
+    list.innerHTML = (this.product.componentes || []).map(component => {
+      const info = this.catalog.describe({ item: component.material }, this.regionProfile);
+      return `
+        <div class="guide-result">
+          <div class="w-8 h-8 rounded-full mr-3 bin-dot" style="background-color: ${escapeHtml(info.binColor || '')}"></div>
+          <div>
+            <h3 class="font-semibold text-gray-800 text-sm capitalize">
+              ${escapeHtml(component.parte)}
+              <span class="guide-tag ${info.recyclable ? 'recyclable' : 'not-recyclable'}">${info.recyclable ? 'Reciclable' : 'No reciclable'}</span>
+            </h3>
+            <p class="text-xs text-gray-700"><span class="capitalize">${escapeHtml(info.item)}</span> · Caneca ${escapeHtml(info.binLabel)}</p>
+            <p class="text-xs text-gray-500">${escapeHtml(component.instrucciones || info.instructions)}</p>
+          </div>
+        </div>`;
+    }).join('');
+  }
+
+  // ---------- Aporte de empaques desconocidos ----------
+  showContributeForm(codigo) {
+    const form = document.getElementById('product-contribute');
+    if (!form) return;
+    this.contributeCode = codigo;
+
+    form.reset();
+    setText('contribute-code', codigo);
+    document.getElementById('contribute-parts').replaceChildren();
+    this.addContributePart();
+
+    document.getElementById('scan-result').classList.add('hidden');
+    document.getElementById('product-result').classList.add('hidden');
+    form.classList.remove('hidden');
+  }
+
+  // Fila "parte + material"; los nombres vienen del catálogo, por eso va con textContent
+  addContributePart() {
+    const parts = document.getElementById('contribute-parts');
+    if (!parts) return;
+
+    const row = document.createElement('div');
+    row.className = 'contribute-part';
+
+    const part = document.createElement('input');
+    part.type = 'text';
+    part.maxLength = 40;
+    part.placeholder = parts.children.length ? 'Otra parte (ej. tapa)' : 'Parte (ej. botella)';
+    part.setAttribute('aria-label', 'Parte del empaque');
+
+    const material = document.createElement('select');
+    material.setAttribute('aria-label', 'Material de la parte');
+    material.replaceChildren(...this.catalog.materials.map(({ id, name }) => {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = name;
+      return option;
+    }));
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.title = 'Quitar parte';
+    remove.setAttribute('aria-label', 'Quitar parte');
+    remove.innerHTML = '<i class="fas fa-times"></i>';
+    remove.addEventListener('click', () => {
+      if (parts.children.length > 1) row.remove();
+    });
+
+    row.append(part, material, remove);
+    parts.appendChild(row);
+    part.focus();
+  }
+
+  async submitProductContribution(event) {
+    event.preventDefault();
+    const nombre = document.getElementById('contribute-name').value.trim();
+    const componentes = [...document.querySelectorAll('#contribute-parts .contribute-part')]
+      .map(row => ({ parte: row.querySelector('input').value.trim(), material: row.querySelector('select').value }))
+      .filter(component => component.parte && component.material);
+
+    if (!nombre || !componentes.length) {
+      this.showError(null, 'Escribe el nombre del producto y al menos una parte de su empaque.');
+      return;
+    }
+
+    const submitBtn = document.getElementById('contribute-submit');
+    submitBtn.disabled = true;
+    try {
+      const product = await Api.contribuirProducto({ codigo: this.contributeCode, nombre, componentes });
+      this.displayProduct(product || { codigo: this.contributeCode, nombre, componentes });
+      this.addNotification('¡Gracias! Con tu aporte otros sabrán cómo separar este empaque.');
+    } catch (error) {
+      console.error('No pude enviar el producto:', error);
+      this.showError(error, 'No pudimos guardar el producto. Intenta de nuevo en un momento.');
+    } finally {
+      submitBtn.disabled = false;
     }
+  }
+
+  // ------------- Depósito en la caneca (QR) -------------
+  /**
+   * Pide botar el objeto y escanear el QR de su caneca; los puntos se suman al verificarlo.
+   * Si ya hay otro en pantalla, este queda en la lista: ninguno reemplaza al que falta depositar.
+   * @param {{scanId: string, item: string, points: number, detectionId?: number}} deposit
+   * @param {Function} onDone - Recibe la respuesta de /depositos
+   */
+  showDeposit(deposit, onDone = () => {}) {
+    if (this.closedDeposits.has(deposit.scanId) || this.deposits.some(d => d.scanId === deposit.scanId)) return;
+    this.deposits.push({ ...deposit, onDone });
+    if (this.deposit) this.renderDeposit();
+    else this.selectDeposit(deposit.scanId);
+  }
 
-    resultDiv.classList.remove('hidden');
+  selectDeposit(scanId) {
+    const deposit = this.deposits.find(d => d.scanId === scanId);
+    if (!deposit || deposit === this.deposit) return;
+    this.deposit = deposit;
+    this.renderDeposit();
+    document.getElementById('deposit-code-form').reset();
+    document.getElementById('deposit-panel').classList.remove('hidden');
+  }
+
+  // La caneca depende del perfil de región
+  renderDeposit() {
+    const view = this.catalog.describe({ item: this.deposit.item }, this.regionProfile);
+    setText('deposit-item', view.item);
+    setText('deposit-bin', view.binLabel);
+    setText('deposit-points', this.deposit.points);
+    document.getElementById('deposit-bin-dot').style.backgroundColor = view.binColor || '';
+
+    const others = this.deposits.filter(d => d !== this.deposit);
+    document.getElementById('deposit-queue').classList.toggle('hidden', !others.length);
+    document.getElementById('deposit-queue-list').innerHTML = others.map(d => {
+      const info = this.catalog.describe({ item: d.item }, this.regionProfile);
+      return `
+        <button type="button" class="deposit-chip" data-deposit-scan="${escapeHtml(d.scanId)}">
+          <span class="bin-dot bin-dot-sm" style="background-color: ${escapeHtml(info.binColor || '')}"></span>
+          <span class="capitalize">${escapeHtml(info.item)}</span>&nbsp;+${Number(d.points) || 0}
+        </button>`;
+    }).join('');
   }
 
+  // Quita uno (depositado, corregido, descartado o vencido) y muestra el siguiente
+  removeDeposit(scanId) {
+    this.closedDeposits.add(scanId);
+    this.deposits = this.deposits.filter(d => d.scanId !== scanId);
+    if (this.deposit && this.deposit.scanId !== scanId) {
+      this.renderDeposit();
+      return;
+    }
+    this.deposit = null;
+    if (this.deposits.length) this.selectDeposit(this.deposits[0].scanId);
+    else document.getElementById('deposit-panel').classList.add('hidden');
+  }
+
+  // Sin BarcodeDetector no hay lector de QR: queda el código impreso en la caneca
+  async startDepositScan() {
+    if (!this.deposit) return;
+    if (!this.qrReader) this.qrReader = await createQrReader();
+    if (!this.qrReader) {
+      this.showNotification('Tu navegador no lee códigos QR: escribe el código impreso en la caneca.', 'warning');
+      document.getElementById('deposit-code').focus();
+      return;
+    }
+    const { binLabel } = this.catalog.describe({ item: this.deposit.item }, this.regionProfile);
+    await this.startCodeScan(this.qrReader, { status: `Apunta al QR de la caneca ${binLabel}`, qr: true },
+      (payload) => this.submitDeposit({ qr: payload }));
+  }
+
+  /**
+   * Registra el depósito con el QR leído o el código escrito a mano.
+   * El color de la caneca del QR se revisa aquí; el backend valida la firma y lo vuelve a revisar.
+   */
+  async submitDeposit({ qr = null, codigo = null }) {
+    const deposit = this.deposit;
+    if (!deposit) return;
+
+    if (qr) {
+      const bin = parseBinQr(qr);
+      if (!bin) {
+        this.showError(null, 'Ese QR no es de una caneca EcoRecycle.');
+        return;
+      }
+      const view = this.catalog.describe({ item: deposit.item }, this.regionProfile);
+      if (bin.caneca !== view.binId) {
+        this.showError(null, `Esa es la caneca ${this.catalog.binLabel(bin.caneca, this.regionProfile)}; ${view.item} va en la ${view.binLabel}.`);
+        return;
+      }
+    }
+
+    try {
+      const res = await Api.registrarDeposito(qr ? { scan_id: deposit.scanId, qr } : { scan_id: deposit.scanId, codigo });
+      this.removeDeposit(deposit.scanId);
+      if (res.points > 0) this.addNotification(`¡Depósito verificado! +${res.points} puntos`);
+      if (noPointsReason(res)) this.showNotification(noPointsReason(res), 'warning');
+      deposit.onDone(res);
+    } catch (error) {
+      console.error('No pude registrar el depósito:', error);
+      this.showError(error, 'No pudimos verificar el depósito. Intenta de nuevo en un momento.');
+      // Ya se depositó o venció: reintentarlo no sirve
+      if (error.status === 404) this.removeDeposit(deposit.scanId);
+    }
+  }
+
+  // ---------------- Navegación/pestañas ----------------
+  switchTab(tabName) {
+    document.querySelectorAll('.tab-content').forEach(tab => tab.classList.add('hidden'));
+    const tabEl = document.getElementById(`${tabName}-tab`);
+    if (tabEl) tabEl.classList.remove('hidden');
+
+    document.querySelectorAll('.nav-btn').forEach(btn => btn.classList.remove('active'));
+    const navEl = document.querySelector(`[data-tab="${tabName}"]`);
+    if (navEl) navEl.classList.add('active');
+
+    this.activeTab = tabName;
+
+    // La cámara no se queda encendida fuera del escáner
+    if (tabName !== 'scanner') this.closeCamera();
+
+    // 🔵 Carga el historial real del backend al abrir la pestaña (primera página)
+    if (tabName === 'history') {
+      this.loadHistoryFromBackend({ reset: true });
+      if (!this.stats) this.loadStatistics();
+    }
+    if (tabName === 'rewards') this.renderRewards();
+  }
+
+
   // ---------------- Reconocimiento de voz ---------------
   toggleVoiceRecognition() {
-    const voiceBtn = document.getElementById('voice-btn');
-    if (!voiceBtn) return;
-
     if (this.isListening) {
-      this.isListening = false;
-      voiceBtn.classList.remove('voice-listening');
-      voiceBtn.innerHTML = '<i class="fas fa-microphone"></i>';
-    } else {
-      this.isListening = true;
-      voiceBtn.classList.add('voice-listening');
-      voiceBtn.innerHTML = '<i class="fas fa-microphone-slash"></i>';
+      if (this.recognition) this.recognition.stop();
+      return;
+    }
 
-      setTimeout(async () => {
-        const result = this.recyclingData['lata de aluminio'];
-        this.scanResult = { item: 'lata de aluminio', ...result };
-        this.displayScanResult();
+    const Recognition = getSpeechRecognition();
+    if (!Recognition) {
+      this.showNotification('Tu navegador no permite consultas por voz. Escanea el objeto con la cámara.', 'warning');
+      return;
+    }
 
-        const correo = localStorage.getItem("userEmail");
-        try {
-          await fetch(`${API_BASE}/puntos/agregar`, {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({ correo, puntos: result.points })
-          });
-        } catch (_) {}
-        this.addNotification('¡Consulta por voz procesada! +4 puntos');
-        this.addToHistory('lata de aluminio', result.points);
-        await this.fetchPoints();
-        await this.loadHistoryFromBackend();
-        this.renderHistory();
+    const recognition = new Recognition();
+    recognition.lang = this.voiceLang;
+    recognition.interimResults = false;
+    recognition.maxAlternatives = 3;
 
+    recognition.onresult = (event) => {
+      const transcripts = Array.from(event.results[0] || []).map(alt => alt.transcript);
+      this.handleVoiceQuery(transcripts);
+    };
+    recognition.onerror = (event) => {
+      if (event.error === 'aborted') return;
+      const messages = {
+        'not-allowed': 'Permite el uso del micrófono para preguntar por voz.',
+        'service-not-allowed': 'Permite el uso del micrófono para preguntar por voz.',
+        'no-speech': 'No te escuché. Toca el micrófono y di qué tienes en la mano.',
+        'network': 'El reconocimiento de voz necesita conexión a internet.'
+      };
+      this.showNotification(messages[event.error] || 'No pude reconocer lo que dijiste. Intenta de nuevo.', 'warning');
+    };
+    recognition.onend = () => this.setListening(false);
 
-        this.isListening = false;
-        voiceBtn.classList.remove('voice-listening');
-        voiceBtn.innerHTML = '<i class="fas fa-microphone"></i>';
-      }, 3000);
+    this.recognition = recognition;
+    this.setListening(true);
+    try {
+      recognition.start();
+    } catch (error) {
+      console.error('No pude iniciar el reconocimiento de voz:', error);
+      this.setListening(false);
     }
   }
 
-  // ----------------- Historial/estadísticas -------------
-  addToHistory(item, points) {
-    this.myRecyclingHistory.unshift({
-      id: Date.now(),
-      user: 'Tú',
-      item,
-      time: 'Ahora',
-      points,
-      location: 'Casa',
-      avatar: 'YO'
+  setListening(listening) {
+    this.isListening = listening;
+    const voiceBtn = document.getElementById('voice-btn');
+    if (!voiceBtn) return;
+    voiceBtn.classList.toggle('voice-listening', listening);
+    voiceBtn.innerHTML = listening ? '<i class="fas fa-microphone-slash"></i>' : '<i class="fas fa-microphone"></i>';
+  }
+
+  toggleVoiceLanguage() {
+    const langs = Object.keys(VOICE_LANGS);
+    this.voiceLang = langs[(langs.indexOf(this.voiceLang) + 1) % langs.length];
+    localStorage.setItem(VOICE_LANG_KEY, this.voiceLang);
+    setText('voice-lang-btn', VOICE_LANGS[this.voiceLang]);
+  }
+
+  /**
+   * Busca en el catálogo lo que el usuario dijo. Solo informa la caneca:
+   * los puntos se ganan únicamente con un escaneo verificado por foto.
+   * @param {string[]} transcripts - Alternativas del reconocedor, la primera es la más probable
+   */
+  handleVoiceQuery(transcripts) {
+    const phrase = transcripts[0] || '';
+    const match = this.materialMatcher.match(transcripts);
+    if (!match) {
+      this.showNotification(`No encontré “${phrase}” en el catálogo. Prueba con otras palabras o escanéalo.`, 'warning');
+      return;
+    }
+
+    this.lastScan = null;
+    this.displayScanResult({
+      item: match.material,
+      points: 0,
+      transcript: phrase,
+      source: 'voice'
     });
-    this.updateStatistics();
   }
 
+  // ------------- Guía "¿Dónde lo boto?" ----------------
+  searchGuide(query) {
+    const resultsEl = document.getElementById('guide-results');
+    if (!resultsEl || !this.catalog) return;
+
+    if (!query.trim()) {
+      resultsEl.innerHTML = '';
+      return;
+    }
+
+    const matches = this.materialMatcher.search(query, 5);
+    if (!matches.length) {
+      resultsEl.innerHTML = `
+        <p class="text-sm text-gray-500 text-center">No encontramos “${escapeHtml(query)}”. Prueba con otra palabra o escanéalo.</p>`;
+      return;
+    }
+
+    resultsEl.innerHTML = matches.map(({ material }) => {
+      const info = this.catalog.describe({ item: material }, this.regionProfile);
+      return `
+        <div class="guide-result">
+          <div class="w-8 h-8 rounded-full mr-3 bin-dot" style="background-color: ${escapeHtml(info.binColor || '')}"></div>
+          <div>
+            <h3 class="font-semibold text-gray-800 text-sm capitalize">
+              ${escapeHtml(info.item)}
+              <span class="guide-tag ${info.recyclable ? 'recyclable' : 'not-recyclable'}">${info.recyclable ? 'Reciclable' : 'No reciclable'}</span>
+            </h3>
+            <p class="text-xs text-gray-700">Caneca ${escapeHtml(info.binLabel)}</p>
+            <p class="text-xs text-gray-500">${escapeHtml(info.instructions)}</p>
+          </div>
+        </div>`;
+    }).join('');
+  }
+
+  // ----------------- Historial/estadísticas -------------
   renderHistory() {
-  const historyList = document.getElementById('history-list');
-  if (!historyList) return;
-
-  const data = this.serverHistory.length ? this.serverHistory : this.myRecyclingHistory.map(h => ({
-    accion: 'escaneo',
-    detalle: `+${h.points} puntos por reciclaje`,
-    badge: `+${h.points}`,
-    delta: +h.points,
-    fecha: h.time || 'Ahora'
-  }));
+    const historyList = document.getElementById('history-list');
+    if (!historyList) return;
+    this.renderHistoryPager();
 
-  if (!data.length) {
-    historyList.innerHTML = `
+    if (!this.serverHistory.length) {
+      const filtered = Object.keys(this.historyFilters).length > 0;
+      historyList.innerHTML = !this.historyPage.loaded ? '' : filtered ? `
+      <div class="text-center py-8">
+        <i class="fas fa-filter text-gray-300 text-6xl mb-4"></i>
+        <p class="text-gray-500 text-lg">No hay movimientos con esos filtros.</p>
+        <p class="text-gray-400 text-sm">Prueba con otras fechas o limpia los filtros.</p>
+      </div>` : `
       <div class="text-center py-8">
         <i class="fas fa-trash-alt text-gray-300 text-6xl mb-4"></i>
         <p class="text-gray-500 text-lg">¡Aún no hay actividades!</p>
         <p class="text-gray-400 text-sm">Usa el escáner o canjea para ver el registro.</p>
       </div>`;
-    return;
+      return;
+    }
+
+    historyList.innerHTML = this.serverHistory.map(entry => this.historyItemHtml(entry)).join('');
   }
 
-  historyList.innerHTML = data.map(entry => `
+  historyItemHtml(entry) {
+    return `
     <div class="history-item">
       <div class="history-content">
         <div class="history-info">
-          <h3>${entry.accion === 'canje' ? 'Canje de premio' : 'Puntos por reciclaje'}</h3>
-          <p>${entry.detalle || ''}</p>
-          <div class="history-time">${entry.fecha}</div>
+          <h3>${LEDGER_TYPES[entry.tipo] || 'Movimiento de puntos'}</h3>
+          <p>${escapeHtml(this.ledgerDetail(entry))}</p>
+          ${this.renderHistoryBin(entry.material)}
+          <div class="history-time">${formatFecha(entry.fecha)}${entry.saldo !== null ? ` · Saldo: ${entry.saldo} pts` : ''}</div>
         </div>
         <div class="history-points">
-          <div class="history-points-badge ${entry.delta >= 0 ? 'hist-badge-pos' : 'hist-badge-neg'}">
-            <span class="history-points-text">${entry.badge} pts</span>
+          <div class="history-points-badge ${entry.monto >= 0 ? 'hist-badge-pos' : 'hist-badge-neg'}">
+            <span class="history-points-text">${entry.monto > 0 ? `+${entry.monto}` : entry.monto} pts</span>
           </div>
         </div>
       </div>
-    </div>
-  `).join('');
-}
+    </div>`;
+  }
 
+  // Total con los filtros actuales y botón "Cargar más" (por si no hay IntersectionObserver)
+  renderHistoryPager() {
+    const page = this.historyPage;
+    const filtered = Object.keys(this.historyFilters).length > 0;
+    setText('history-count', page.total === null ? ''
+      : `${page.total} ${page.total === 1 ? 'movimiento' : 'movimientos'}${filtered ? ' con estos filtros' : ''}`);
+
+    const more = document.getElementById('history-more');
+    if (!more) return;
+    more.classList.toggle('hidden', !page.loaded || page.done);
+    more.disabled = page.loading;
+    more.textContent = page.loading ? 'Cargando…' : 'Cargar más';
+  }
 
-  updateStatistics() {
-    const totalRecycled = this.myRecyclingHistory.length;
-    const co2Avoided = (totalRecycled * 0.35).toFixed(1);
-    const averagePoints = totalRecycled > 0
-      ? Math.round(this.myRecyclingHistory.reduce((s, it) => s + it.points, 0) / totalRecycled)
-      : 0;
+  // Opciones de material y caneca (dependen del catálogo y del perfil) y valores actuales
+  renderHistoryFilters() {
+    if (!this.catalog || !document.getElementById('history-filters')) return;
+    const options = (placeholder, items) => [`<option value="">${placeholder}</option>`, ...items
+      .map(([value, label]) => `<option value="${escapeHtml(value)}">${escapeHtml(label)}</option>`)].join('');
+
+    document.getElementById('history-material').innerHTML = options('Cualquier material',
+      this.catalog.materials.map(m => [m.id, m.name.charAt(0).toUpperCase() + m.name.slice(1)]));
+    document.getElementById('history-caneca').innerHTML = options('Cualquier caneca',
+      Object.keys(this.catalog.binsFor(this.regionProfile)).map(id => [id, this.catalog.binLabel(id, this.regionProfile)]));
+
+    HISTORY_FILTER_FIELDS.forEach(field => {
+      const el = document.getElementById(`history-${field}`);
+      const value = this.historyFilters[field] || '';
+      // Sin pisar los espacios que el usuario va escribiendo en la búsqueda
+      if (el.value.trim() !== value) el.value = value;
+    });
+  }
+
+  readHistoryForm() {
+    const filters = {};
+    HISTORY_FILTER_FIELDS.forEach(field => {
+      const value = document.getElementById(`history-${field}`).value.trim();
+      if (value) filters[field] = value;
+    });
+    this.setHistoryFilters(filters);
+  }
+
+  setHistoryFilters(filters) {
+    const changed = JSON.stringify(filters) !== JSON.stringify(this.historyFilters);
+    this.historyFilters = filters;
+    this.renderHistoryFilters();
+    if (!changed) return;
+    writeHistoryFilters(filters);
+    this.loadHistoryFromBackend({ reset: true });
+  }
+
+  // Trae la página siguiente cuando el final de la lista entra en pantalla
+  watchHistorySentinel() {
+    const sentinel = document.getElementById('history-sentinel');
+    if (!sentinel || typeof IntersectionObserver === 'undefined') return;
+    this.historyObserver = new IntersectionObserver((entries) => {
+      if (this.activeTab === 'history' && entries.some(entry => entry.isIntersecting)) this.loadHistoryFromBackend();
+    }, { rootMargin: '300px' });
+    this.historyObserver.observe(sentinel);
+  }
+
+  // Premio canjeado o de dónde salieron los puntos
+  ledgerDetail(entry) {
+    if (entry.tipo === 'canje') {
+      const reward = this.rewards.find(r => r.id === entry.premioId);
+      return reward ? `Premio: ${reward.name}` : 'Premio canjeado';
+    }
+    return LEDGER_SOURCES[entry.origen] || '';
+  }
+
+  // Caneca del material del movimiento, según el perfil de región actual
+  renderHistoryBin(material) {
+    if (!material || !this.catalog) return '';
+    const info = this.catalog.describe({ item: material }, this.regionProfile);
+    return `
+          <p class="text-xs text-gray-500">
+            <span class="bin-dot bin-dot-sm" style="background-color: ${escapeHtml(info.binColor || '')}"></span>
+            <span class="capitalize">${escapeHtml(info.item)}</span> · Caneca ${escapeHtml(info.binLabel)}
+          </p>`;
+  }
+
+
+  // Totales de todo el ledger en una sola consulta; después los mantienen los eventos en vivo
+  async loadStatistics() {
+    try {
+      const res = await Api.resumenHistorial(Session.email);
+      this.stats = ledgerTotals([], {
+        items: Number(res.objetos) || 0,
+        earned: Number(res.puntos_ganados) || 0,
+        redeemed: Number(res.puntos_canjeados) || 0
+      });
+    } catch (error) {
+      console.error('No pude cargar las estadísticas:', error);
+      return;
+    }
+    this.updateStatistics();
+  }
 
-    setText('total-recycled', totalRecycled);
+  updateStatistics() {
+    if (!this.stats) return;
+    const { items, earned, co2Kg } = this.stats;
+    setText('total-recycled', items);
     // 🔵 “Puntos ganados” debe mostrar el TOTAL acumulado real del backend
     setText('total-points-earned', this.userPointsTotal);
-    setText('co2-avoided', `${co2Avoided}kg`);
-    setText('average-points', averagePoints);
+    setText('co2-avoided', `${co2Kg.toFixed(1)}kg`);
+    setText('average-points', items > 0 ? Math.round(earned / items) : 0);
   }
 
   // ================= PREMIOS ===========================
   async loadRewards() {
     try {
-      const res = await fetch(`${API_BASE}/premios`);
-      const premios = await res.json();
+      const premios = await Api.listarPremios();
       this.rewards = (premios || []).map((p, i) => ({
-        id: i + 1,
+        id: p.id ?? i + 1,
         name: p.nombre,
         points: p.puntos_necesarios,
         stock: typeof p.stock === 'number' ? p.stock : 0,
@@ -517,51 +1849,35 @@ class EcoRecycleApp {
     if (this.userPoints < reward.points) return;
 
     try {
-      const correo = localStorage.getItem('userEmail');
-      if (!correo) { alert('Debes iniciar sesión para canjear.'); return; }
+      const correo = Session.email;
+      if (!correo) { this.showError(null, 'Debes iniciar sesión para canjear.'); return; }
 
-      const resp = await fetch(`${API_BASE}/puntos/canjear`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ correo, premio: reward.name })
-      });
-      const data = await resp.json();
-      if (data.error) { alert('No se pudo canjear: ' + data.error); return; }
+      const data = await Api.canjearPremio(correo, reward.name);
 
       reward.stock = Math.max(0, (reward.stock ?? 0) - 1);
       this.addNotification(data.mensaje || `¡Canjeaste ${reward.name}!`);
-      await this.fetchPoints();        // saldo real (el total acumulado NO baja)
-      await this.loadHistoryFromBackend();
-      this.renderRewards();   // ya lo tienes
-
-      this.renderRewards();
+      this.renderRewards(); // el saldo real llega por el canal en vivo
     } catch (err) {
       console.error(err);
-      alert('Error al canjear. Revisa la conexión con el servidor.');
+      this.showError(err, 'Error al canjear. Revisa la conexión con el servidor.');
     }
   }
 
   // --------------- Puntos (sincronización) -------------
   async fetchPoints() {
-    // Throttle: evita llamadas concurrentes y muy seguidas (<8s)
-    const now = Date.now();
+    // Una sola consulta a la vez
     if (this._fetchingPoints) return;
-    if (now - (this._lastPointsFetch || 0) < 8000) return;
-    const correo = localStorage.getItem('userEmail');
+    const correo = Session.email;
     if (!correo) return;
     this._fetchingPoints = true;
-    this._lastPointsFetch = now;
 
     try {
       // Pedimos SALDO y TOTAL en paralelo
-      const [saldoRes, totalRes] = await Promise.all([
-        fetch(`${API_BASE}/usuarios/${encodeURIComponent(correo)}/puntos`),
-        fetch(`${API_BASE}/usuarios/${encodeURIComponent(correo)}/puntos-acumulados`)
+      const [saldo, total] = await Promise.all([
+        Api.puntos(correo),
+        Api.puntosAcumulados(correo)
       ]);
 
-      const saldo = await saldoRes.json();
-      const total = await totalRes.json();
-
       // Asignamos (con fallback numérico)
       this.userPoints      = Number(saldo?.puntos ?? 0);
       this.userPointsTotal = Number(total?.puntos_acumulados ?? 0);
@@ -577,6 +1893,33 @@ class EcoRecycleApp {
       }
     }
 
+  // ---------------- Cambios en vivo --------------------
+  handleLiveEvent(type, data) {
+    if (type === 'puntos') {
+      this.userPoints = Number(data.puntos ?? this.userPoints);
+      this.userPointsTotal = Number(data.puntos_acumulados ?? this.userPointsTotal);
+      this.updatePointsDisplay();
+      if (this.activeTab === 'rewards') this.renderRewards();
+    } else if (type === 'historial') {
+      const entry = toLedgerEntry(data);
+      // Sin totales cargados no hay a qué sumar: el resumen ya lo incluirá
+      if (entry.tipo === 'escaneo' && this.stats) {
+        this.stats = ledgerTotals([entry], this.stats);
+        this.updateStatistics();
+      }
+      // Si no se ha cargado, o hay filtros (el backend decide qué entra), se trae al abrir la pestaña
+      if (!this.historyPage.loaded || Object.keys(this.historyFilters).length) return;
+      if (!this.serverHistory.some(e => e.id === entry.id)) this.historyPage.total++;
+      this.serverHistory = [entry, ...this.serverHistory.filter(e => e.id !== entry.id)];
+      if (this.activeTab === 'history') this.renderHistory();
+    } else if (type === 'premio') {
+      const reward = this.rewards.find(r => r.id === data.id);
+      if (!reward) return;
+      reward.stock = Number(data.stock) || 0;
+      if (this.activeTab === 'rewards') this.renderRewards();
+    }
+  }
+
   updatePointsDisplay() {
     // saldo actual (cabecera y bloque de premios)
     setText('user-points', this.userPoints);
@@ -595,51 +1938,170 @@ class EcoRecycleApp {
     this.showNotification(message);
   }
 
-  showNotification(message) {
+  showNotification(message, type = 'success', duration = type === 'success' ? 3000 : 5000) {
     const notificationDiv = document.getElementById('notifications');
     const messageP = document.getElementById('notification-message');
     if (!notificationDiv || !messageP) return;
 
     messageP.textContent = message;
+    notificationDiv.classList.toggle('notification-error', type === 'error');
+    notificationDiv.classList.toggle('notification-warning', type === 'warning');
     notificationDiv.classList.remove('hidden');
-    setTimeout(() => notificationDiv.classList.add('hidden'), 3000);
+    clearTimeout(this._notificationTimer);
+    this._notificationTimer = setTimeout(() => notificationDiv.classList.add('hidden'), duration);
+  }
+
+  // Muestra un ApiError (o cualquier error) con un mensaje de respaldo
+  showError(error, fallback = 'Ha ocurrido un error. Intenta nuevamente.') {
+    const message = error && error.status && error.message ? error.message : fallback;
+    this.showNotification(message, 'error');
   }
   
 
 
 
-  async loadHistoryFromBackend() {
-    const correo = localStorage.getItem('userEmail');
-    if (!correo) return;
+  /**
+   * Página siguiente del historial con los filtros actuales
+   * @param {object} options
+   * @param {boolean} options.reset - Empezar desde la primera página (filtros nuevos o pestaña abierta)
+   */
+  async loadHistoryFromBackend({ reset = false } = {}) {
+    const correo = Session.email;
+    const page = this.historyPage;
+    if (!correo || (!reset && (page.loading || page.done || !page.loaded))) return;
+
+    // Una respuesta que llega después de cambiar los filtros se descarta
+    const request = ++page.request;
+    page.loading = true;
+    this.renderHistoryPager();
     try {
-      const res = await fetch(`${API_BASE}/historial/${encodeURIComponent(correo)}`);
-      const raw = await res.json();
-      // Normaliza: delta (+/-), etiqueta, fecha bonita
-      this.serverHistory = (raw || []).map((h) => {
-        const delta = parseDeltaFromDetalle(h.accion, h.detalle);
-        const badge = delta >= 0 ? `+${delta}` : `${delta}`;
-        // Etiqueta legible
-        let label = h.detalle || '';
-        if (!label) {
-          label = (h.accion === 'escaneo')
-            ? 'Puntos por reciclaje'
-            : (h.accion === 'canje') ? 'Puntos gastados en canje' : 'Actividad';
-        }
-        return {
-          accion: h.accion,
-          detalle: h.detalle,
-          badge,
-          delta,
-          fecha: h.fecha ? formatFecha(h.fecha) : 'Ahora'
-        };
+      const res = await Api.historial(correo, historyQuery(this.historyFilters), {
+        cursor: reset ? null : page.cursor,
+        limite: HISTORY_PAGE_SIZE
       });
-      // Ordena por fecha descendente si backend no viene ordenado
-      this.serverHistory.sort((a, b) => (new Date(b.fecha) - new Date(a.fecha)));
+      if (request !== page.request) return;
+
+      const entries = ((res && res.movimientos) || []).map(toLedgerEntry)
+        .filter(entry => reset || !this.serverHistory.some(e => e.id === entry.id));
+      const append = !reset && this.serverHistory.length > 0;
+      this.serverHistory = reset ? entries : [...this.serverHistory, ...entries];
+      page.cursor = (res && res.siguiente) || null;
+      page.done = !page.cursor;
+      page.total = Number(res && res.total) || this.serverHistory.length;
+      page.loaded = true;
+
+      const historyList = document.getElementById('history-list');
+      if (append && historyList) {
+        historyList.insertAdjacentHTML('beforeend', entries.map(entry => this.historyItemHtml(entry)).join(''));
+      } else {
+        this.renderHistory();
+      }
     } catch (e) {
+      if (request !== page.request) return;
       console.error('No pude cargar historial:', e);
+      if (reset) this.showError(e, 'No pudimos cargar tu historial. Intenta de nuevo en un momento.');
+    } finally {
+      if (request === page.request) {
+        page.loading = false;
+        this.renderHistoryPager();
+        // Si el final sigue a la vista (página corta), observar de nuevo dispara la siguiente
+        const sentinel = document.getElementById('history-sentinel');
+        if (this.historyObserver && sentinel && !page.done) {
+          this.historyObserver.unobserve(sentinel);
+          this.historyObserver.observe(sentinel);
+        }
+      }
     }
   }
 
+  // ---------------- Exportar historial ----------------
+  // Mismo endpoint que la lista, recorriendo todas las páginas del rango
+  async fetchLedgerRange(range) {
+    const movimientos = [];
+    let cursor = null;
+    do {
+      const res = await Api.historial(Session.email, historyQuery(range), { cursor, limite: HISTORY_EXPORT_PAGE_SIZE });
+      movimientos.push(...((res && res.movimientos) || []));
+      cursor = (res && res.siguiente) || null;
+    } while (cursor);
+    return movimientos;
+  }
+
+  async exportHistory(format) {
+    const range = {
+      desde: document.getElementById('export-desde').value,
+      hasta: document.getElementById('export-hasta').value
+    };
+    if (range.desde && range.hasta && range.desde > range.hasta) {
+      this.showNotification('La fecha "desde" es posterior a "hasta".', 'warning');
+      return;
+    }
+
+    const buttons = document.querySelectorAll('#history-export .export-btn');
+    buttons.forEach(btn => { btn.disabled = true; });
+    try {
+      const movimientos = await this.fetchLedgerRange(range);
+      if (!movimientos.length) {
+        this.showNotification('No hay movimientos en esas fechas para exportar.', 'warning');
+        return;
+      }
+      // Del más viejo al más nuevo, como se lee un extracto
+      const entries = movimientos.map(toLedgerEntry).sort((a, b) => a.fecha - b.fecha);
+      const desde = range.desde || localDay(entries[0].fecha);
+      const hasta = range.hasta || localDay(new Date());
+      const filename = `ecorecycle-${desde}-a-${hasta}`;
+
+      if (format === 'csv') {
+        downloadBlob(ledgerToCsv(entries.map(entry => this.exportRow(entry))), `historial-${filename}.csv`);
+      } else if (format === 'json') {
+        const meta = { cuenta: Session.email, desde, hasta, generado: new Date().toISOString() };
+        downloadBlob(ledgerToJson(meta, movimientos), `historial-${filename}.json`);
+      } else if (format === 'pdf') {
+        downloadBlob(certificatePdf(this.certificateData(entries, desde, hasta)), `certificado-${filename}.pdf`);
+      }
+    } catch (error) {
+      console.error('No pude exportar el historial:', error);
+      this.showError(error, 'No pudimos generar la exportación. Intenta de nuevo en un momento.');
+    } finally {
+      buttons.forEach(btn => { btn.disabled = false; });
+    }
+  }
+
+  exportRow(entry) {
+    const info = entry.material && this.catalog ? this.catalog.describe({ item: entry.material }, this.regionProfile) : null;
+    return {
+      id: entry.id,
+      fecha: entry.fecha.toISOString(),
+      tipo: entry.tipo,
+      detalle: this.ledgerDetail(entry),
+      material: entry.material || '',
+      caneca: info ? info.binLabel : '',
+      monto: entry.monto,
+      saldo: entry.saldo,
+      origen: entry.origen || ''
+    };
+  }
+
+  // Resumen del periodo para el certificado
+  certificateData(entries, desde, hasta) {
+    const byMaterial = new Map();
+    entries.filter(entry => entry.tipo === 'escaneo' && entry.material).forEach(entry => {
+      const name = this.catalog ? this.catalog.describe({ item: entry.material }, this.regionProfile).item : entry.material;
+      const row = byMaterial.get(name) || { name, count: 0, points: 0 };
+      row.count++;
+      row.points += entry.monto;
+      byMaterial.set(name, row);
+    });
+
+    return {
+      account: Session.email,
+      from: new Date(`${desde}T00:00`),
+      to: new Date(`${hasta}T00:00`),
+      issuedAt: new Date(),
+      totals: ledgerTotals(entries),
+      materials: [...byMaterial.values()].sort((a, b) => b.count - a.count)
+    };
+  }
 }
 
 
@@ -647,28 +2109,210 @@ class EcoRecycleApp {
 
 
 
+// Para textos del catálogo o del usuario dentro de plantillas HTML
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, (char) => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[char]);
+}
+
+// Perfil de región guardado en el dispositivo, por cuenta
+function regionKey(email) {
+  return `ecoRegion:${email}`;
+}
+
+// --- Helpers de voz ---
+const VOICE_LANG_KEY = 'ecoVoiceLang';
+const VOICE_LANGS = { 'es-CO': 'ES', 'en-US': 'EN' }; // idioma → etiqueta del botón
+
+function getSpeechRecognition() {
+  return window.SpeechRecognition || window.webkitSpeechRecognition || null;
+}
+
+// --- Helpers de escaneo ---
+const LOW_CONFIDENCE = 60; // % por debajo del cual la barra se pinta en ámbar
+const BARCODE_INTERVAL = 200; // ms entre frames al leer códigos de barras o QR
+// Respaldo si config.json no trae "continuousScan"; distancias en bits de 64
+const CONTINUOUS_DEFAULTS = { intervalMs: 700, stableThreshold: 6, changeThreshold: 14 };
+const DETECTION_COLORS = ['#22c55e', '#3b82f6', '#f59e0b', '#a855f7', '#ef4444', '#14b8a6'];
+
+function detectionColor(index) {
+  return DETECTION_COLORS[index % DETECTION_COLORS.length];
+}
+
+// Foto con una caja por objeto; las desmarcadas se ven punteadas y sin etiqueta
+function drawDetections(canvas, image, detections, selected) {
+  canvas.width = image.width;
+  canvas.height = image.height;
+  const context = canvas.getContext('2d');
+  context.drawImage(image, 0, 0);
+
+  const lineWidth = Math.max(2, Math.round(image.width / 160));
+  context.font = `600 ${lineWidth * 6}px sans-serif`;
+  context.textBaseline = 'top';
+
+  detections.forEach((detection, i) => {
+    const { x, y, width, height } = detection.box || {};
+    if ([x, y, width, height].some(v => typeof v !== 'number')) return;
+    const left = x * image.width;
+    const top = y * image.height;
+    const color = detectionColor(i);
+    const isSelected = selected.has(detection.id);
+
+    context.lineWidth = lineWidth;
+    context.strokeStyle = color;
+    context.setLineDash(isSelected ? [] : [lineWidth * 3, lineWidth * 2]);
+    context.strokeRect(left, top, width * image.width, height * image.height);
+    if (!isSelected) return;
+
+    const label = `${i + 1}. ${detection.item}`;
+    const padding = lineWidth * 2;
+    const labelHeight = lineWidth * 6 + padding * 2;
+    const labelTop = top >= labelHeight ? top - labelHeight : top;
+    context.fillStyle = color;
+    context.fillRect(left, labelTop, context.measureText(label).width + padding * 2, labelHeight);
+    context.fillStyle = '#fff';
+    context.fillText(label, left + padding, labelTop + padding);
+  });
+  context.setLineDash([]);
+}
+
+// Botones de material; el texto va con textContent porque viene del backend
+function renderChips(containerId, chips) {
+  const container = document.getElementById(containerId);
+  if (!container) return;
+  container.replaceChildren(...chips.map(({ material, label }) => {
+    const chip = document.createElement('button');
+    chip.type = 'button';
+    chip.className = 'chip';
+    chip.setAttribute('data-material', material);
+    chip.textContent = label;
+    return chip;
+  }));
+}
+
+function buildScanForm(image, filename, capturedAt, hash = null) {
+  const formData = new FormData();
+  // El nombre 'file' es importante, el backend espera ese nombre
+  formData.append('file', image, filename);
+  formData.append('captured_at', new Date(capturedAt).toISOString());
+  if (hash) formData.append('image_hash', hash); // dHash en hex; solo una pista, el backend calcula el suyo
+  return formData;
+}
+
+// Por qué un escaneo reciclable no sumó puntos ('' si no aplica)
+function noPointsReason(result) {
+  if (!result) return '';
+  if (result.duplicate) return 'Ya escaneaste este objeto hace poco: esta vez no suma puntos.';
+  if (result.daily_limit) return 'Llegaste al tope de puntos de hoy. ¡Sigue separando bien! Mañana vuelves a sumar.';
+  return '';
+}
+
+// QR de las canecas: "ECO-CANECA:<código>:<caneca>:<firma>"; la firma solo la valida el backend
+function parseBinQr(payload) {
+  const match = /^ECO-CANECA:([A-Z0-9-]+):([a-z0-9-]+):[0-9a-f]+$/.exec(String(payload).trim());
+  return match ? { codigo: match[1], caneca: match[2] } : null;
+}
+
+// Ajusta la extensión al formato que salió del preprocesamiento
+function uploadFilename(filename, blob) {
+  const extension = (blob.type.split('/')[1] || 'jpg').replace('jpeg', 'jpg');
+  return `${filename.replace(/\.[^.]+$/, '') || 'capture'}.${extension}`;
+}
+
+// Fallos en los que vale la pena guardar el escaneo y reintentar
+function isRetriableScanError(error) {
+  return Boolean(error && (error.isNetworkError || error.status >= 500));
+}
+
+// El servidor respondió que la foto no sirve (401 no cuenta: es la sesión)
+function isRejectedScan(error) {
+  return Boolean(error && (error.code === 'rejected' || (error.status >= 400 && error.status < 500 && error.status !== 401)));
+}
+
 // --- Helpers para historial ---
-function parseDeltaFromDetalle(accion, detalle) {
-  // Para "escaneo": ejemplo "+5 puntos por reciclaje"
-  // Para "canje":   ejemplo "Gastó 150 pts por: Entrada cine"
-  if (!detalle) return 0;
-  let m;
-  if (accion === 'escaneo') {
-    m = detalle.match(/\+(\d+)\s*puntos?/i);
-    return m ? parseInt(m[1], 10) : 0;
-  }
-  if (accion === 'canje') {
-    m = detalle.match(/gast[oó]\s+(\d+)\s*pts/i);
-    return m ? -parseInt(m[1], 10) : 0;
-  }
-  // fallback genérico: busca número con signo
-  m = detalle.match(/([+-]?\d+)/);
-  return m ? parseInt(m[1], 10) : 0;
+const HISTORY_PAGE_SIZE = 20;
+const HISTORY_EXPORT_PAGE_SIZE = 100; // el máximo que acepta /historial
+const CO2_PER_ITEM_KG = 0.35;          // estimación de CO₂ evitado por objeto reciclado
+const HISTORY_FILTER_FIELDS = ['q', 'tipo', 'material', 'caneca', 'desde', 'hasta'];
+
+function newHistoryPage() {
+  return { cursor: null, done: false, loading: false, loaded: false, total: null, request: 0 };
+}
+
+// Filtros del historial en la URL (?tipo=canje&desde=2025-01-01…), para recargar o compartir la vista
+function readHistoryFilters() {
+  const params = new URLSearchParams(window.location.search);
+  return Object.fromEntries(HISTORY_FILTER_FIELDS.filter(field => params.get(field)).map(field => [field, params.get(field)]));
+}
+
+function writeHistoryFilters(filters) {
+  const url = new URL(window.location.href);
+  HISTORY_FILTER_FIELDS.forEach(field => {
+    if (filters[field]) url.searchParams.set(field, filters[field]);
+    else url.searchParams.delete(field);
+  });
+  window.history.replaceState(window.history.state, '', url);
+}
+
+// Desde/hasta son días locales del formulario; el backend recibe instantes ISO con hasta exclusivo
+function historyQuery(filters) {
+  return { ...filters, desde: localDayStart(filters.desde, 0), hasta: localDayStart(filters.hasta, 1) };
+}
+
+// Fecha → "2026-03-31" en hora local, como los <input type="date">
+function localDay(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function localDayStart(day, offset) {
+  const date = new Date(`${day}T00:00`);
+  if (!day || Number.isNaN(date.getTime())) return undefined;
+  date.setDate(date.getDate() + offset);
+  return date.toISOString();
+}
+
+/**
+ * Totales de movimientos del ledger; objetos reciclados son los escaneos con material
+ * @param {Array<object>} entries - De toLedgerEntry()
+ * @param {object} base - Totales a los que se suman (para ir acumulando eventos en vivo)
+ * @returns {{items: number, earned: number, redeemed: number, co2Kg: number}}
+ */
+function ledgerTotals(entries, base = { items: 0, earned: 0, redeemed: 0 }) {
+  const items = base.items + entries.filter(entry => entry.tipo === 'escaneo' && entry.material).length;
+  return {
+    items,
+    earned: base.earned + entries.filter(entry => entry.tipo === 'escaneo').reduce((sum, entry) => sum + entry.monto, 0),
+    redeemed: base.redeemed + entries.filter(entry => entry.tipo === 'canje').reduce((sum, entry) => sum - entry.monto, 0),
+    co2Kg: items * CO2_PER_ITEM_KG
+  };
+}
+
+const LEDGER_TYPES = { escaneo: 'Puntos por reciclaje', canje: 'Canje de premio', ajuste: 'Ajuste de puntos' };
+const LEDGER_SOURCES = {
+  clasificacion: 'Escaneo de un objeto',
+  deteccion: 'Varios objetos en una foto',
+  registro: 'Saldo inicial de la cuenta'
+};
+
+// Movimiento del ledger (GET /historial) como lo usa la vista; monto con signo
+function toLedgerEntry(entry) {
+  return {
+    id: entry.id ?? null,
+    tipo: entry.tipo,
+    monto: Number(entry.monto) || 0,
+    material: entry.material || null,
+    premioId: entry.premio_id ?? null,
+    saldo: typeof entry.saldo === 'number' ? entry.saldo : null,
+    fecha: new Date(entry.fecha ?? Date.now()),
+    origen: entry.origen || null
+  };
 }
 
-function formatFecha(fechaISO) {
+function formatFecha(fecha) {
   try {
-    const d = new Date(fechaISO);
+    const d = new Date(fecha);
     if (isNaN(d)) return 'Ahora';
     return d.toLocaleString();
   } catch { return 'Ahora'; }
@@ -0,0 +1,230 @@
+/**
+ * Lectura de códigos de barras EAN-13, UPC-A y EAN-8 desde el video de la cámara
+ *
+ * Usa BarcodeDetector cuando el navegador lo trae; si no, un decodificador
+ * propio que recorre varias líneas horizontales del frame.
+ * Los UPC-A se devuelven como EAN-13 (con un 0 adelante) para buscarlos igual.
+ * Los QR de las canecas solo se leen con BarcodeDetector (no hay fallback propio).
+ */
+
+const NATIVE_FORMATS = ['ean_13', 'ean_8', 'upc_a', 'upc_e'];
+const FRAME_WIDTH = 640;                 // px a los que se reduce el frame en el fallback
+const SCANLINES = [0.5, 0.4, 0.6, 0.3, 0.7]; // alturas relativas que se prueban
+const MAX_DIGIT_ERROR = 0.38;            // error medio permitido por barra, en módulos
+
+// Anchos (en módulos) de espacio-barra-espacio-barra para el código L;
+// el R tiene los mismos anchos empezando por barra y el G es el L al revés
+const L_CODES = ['3211', '2221', '2122', '1411', '1132', '1231', '1114', '1312', '1213', '3112']
+  .map((code) => code.split('').map(Number));
+const G_CODES = L_CODES.map((widths) => [...widths].reverse());
+
+// Paridad de los 6 dígitos de la izquierda (0 = L, 1 = G) → primer dígito del EAN-13
+const FIRST_DIGIT_PARITY = ['000000', '001011', '001101', '001110', '010011', '011001', '011100', '010101', '010110', '011010'];
+
+/**
+ * @returns {Promise<{detect: (source: CanvasImageSource) => Promise<string|null>, native: boolean}>}
+ */
+export async function createBarcodeReader() {
+  if ('BarcodeDetector' in window) {
+    try {
+      const supported = await window.BarcodeDetector.getSupportedFormats();
+      const formats = NATIVE_FORMATS.filter((format) => supported.includes(format));
+      if (formats.length) {
+        const detector = new window.BarcodeDetector({ formats });
+        return {
+          native: true,
+          async detect(source) {
+            const [barcode] = await detector.detect(source);
+            return barcode ? normalizeCode(barcode.rawValue) : null;
+          }
+        };
+      }
+    } catch (error) {
+      console.warn('BarcodeDetector no disponible, uso el decodificador propio:', error);
+    }
+  }
+
+  const canvas = document.createElement('canvas');
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  return {
+    native: false,
+    async detect(source) {
+      const width = source.videoWidth || source.width;
+      const height = source.videoHeight || source.height;
+      if (!width || !height) return null;
+
+      const scale = Math.min(1, FRAME_WIDTH / width);
+      canvas.width = Math.round(width * scale);
+      canvas.height = Math.round(height * scale);
+      context.drawImage(source, 0, 0, canvas.width, canvas.height);
+
+      for (const position of SCANLINES) {
+        const y = Math.round(canvas.height * position);
+        const { data } = context.getImageData(0, y, canvas.width, 1);
+        const code = decodeScanline(toLuminance(data));
+        if (code) return code;
+      }
+      return null;
+    }
+  };
+}
+
+/**
+ * Lector de códigos QR (el contenido tal cual)
+ * @returns {Promise<{detect: (source: CanvasImageSource) => Promise<string|null>, native: boolean}|null>} -
+ *          null si el navegador no trae BarcodeDetector con QR
+ */
+export async function createQrReader() {
+  if (!('BarcodeDetector' in window)) return null;
+  try {
+    const supported = await window.BarcodeDetector.getSupportedFormats();
+    if (!supported.includes('qr_code')) return null;
+    const detector = new window.BarcodeDetector({ formats: ['qr_code'] });
+    return {
+      native: true,
+      async detect(source) {
+        const [code] = await detector.detect(source);
+        return code ? code.rawValue : null;
+      }
+    };
+  } catch (error) {
+    console.warn('BarcodeDetector no lee QR en este navegador:', error);
+    return null;
+  }
+}
+
+/**
+ * Decodifica una línea de luminancia (0 = negro, 255 = blanco) en cualquier sentido
+ * @param {ArrayLike<number>} line
+ * @returns {string|null}
+ */
+export function decodeScanline(line) {
+  return decodeRuns(toRuns(line));
+}
+
+/**
+ * Deja todo en EAN-13 salvo los EAN-8
+ */
+export function normalizeCode(code) {
+  const digits = String(code || '').replace(/\D/g, '');
+  return digits.length === 12 ? `0${digits}` : digits;
+}
+
+/**
+ * Verifica el dígito de control de un EAN-8/EAN-13
+ */
+export function isValidChecksum(code) {
+  const digits = code.split('').map(Number);
+  const check = digits.pop();
+  // Desde la derecha, pesos 3, 1, 3, 1...
+  const sum = digits.reverse().reduce((acc, digit, i) => acc + digit * (i % 2 === 0 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10 === check;
+}
+
+// --- Helpers ---
+function toLuminance(rgba) {
+  const line = new Uint8ClampedArray(rgba.length / 4);
+  for (let i = 0; i < line.length; i++) {
+    line[i] = 0.299 * rgba[i * 4] + 0.587 * rgba[i * 4 + 1] + 0.114 * rgba[i * 4 + 2];
+  }
+  return line;
+}
+
+// Binariza con el punto medio de la línea y agrupa en tramos { dark, width }
+function toRuns(line) {
+  let min = 255;
+  let max = 0;
+  for (const value of line) {
+    if (value < min) min = value;
+    if (value > max) max = value;
+  }
+  if (max - min < 40) return []; // sin contraste: no hay código en esta línea
+
+  const threshold = (min + max) / 2;
+  const runs = [];
+  for (const value of line) {
+    const dark = value < threshold;
+    const last = runs[runs.length - 1];
+    if (last && last.dark === dark) last.width++;
+    else runs.push({ dark, width: 1 });
+  }
+  return runs;
+}
+
+// Prueba cada barra oscura como inicio del código, leído al derecho y al revés
+function decodeRuns(runs) {
+  for (let start = 0; start < runs.length; start++) {
+    if (!runs[start].dark) continue;
+    for (const half of [6, 4]) {
+      const count = 3 + half * 4 + 5 + half * 4 + 3;
+      if (start + count > runs.length) continue;
+      const widths = runs.slice(start, start + count).map((run) => run.width);
+      const code = decodeEan(widths, half) || decodeEan([...widths].reverse(), half);
+      if (code) return code;
+    }
+  }
+  return null;
+}
+
+/**
+ * @param {number[]} widths - Anchos de barras y espacios, empezando por la guarda
+ * @param {number} half - Dígitos por lado: 6 para EAN-13, 4 para EAN-8
+ */
+function decodeEan(widths, half) {
+  const count = widths.length;
+  const modules = 3 + half * 7 + 5 + half * 7 + 3;
+  const unit = widths.reduce((a, b) => a + b, 0) / modules;
+
+  if (!isGuard(widths.slice(0, 3), unit)) return null;
+  if (!isGuard(widths.slice(3 + half * 4, 3 + half * 4 + 5), unit)) return null;
+  if (!isGuard(widths.slice(count - 3), unit)) return null;
+
+  const left = [];
+  let parity = '';
+  for (let i = 0; i < half; i++) {
+    const digit = matchDigit(widths.slice(3 + i * 4, 7 + i * 4), half === 6);
+    if (!digit) return null;
+    left.push(digit.value);
+    parity += digit.parity;
+  }
+
+  const right = [];
+  const rightStart = 3 + half * 4 + 5;
+  for (let i = 0; i < half; i++) {
+    const digit = matchDigit(widths.slice(rightStart + i * 4, rightStart + 4 + i * 4), false);
+    if (!digit) return null;
+    right.push(digit.value);
+  }
+
+  let code;
+  if (half === 6) {
+    const first = FIRST_DIGIT_PARITY.indexOf(parity);
+    if (first < 0) return null;
+    code = [first, ...left, ...right].join('');
+  } else {
+    if (parity !== '0000') return null; // EAN-8 solo usa código L a la izquierda
+    code = [...left, ...right].join('');
+  }
+  return isValidChecksum(code) ? code : null;
+}
+
+// Las guardas son barras y espacios de un módulo
+function isGuard(widths, unit) {
+  return widths.every((width) => width >= unit * 0.5 && width <= unit * 1.6);
+}
+
+// Dígito más parecido comparando los 4 anchos llevados a 7 módulos
+function matchDigit(widths, allowG) {
+  const total = widths.reduce((a, b) => a + b, 0);
+  const scaled = widths.map((width) => (width * 7) / total);
+
+  let best = null;
+  const tables = allowG ? [['0', L_CODES], ['1', G_CODES]] : [['0', L_CODES]];
+  tables.forEach(([parity, table]) => {
+    table.forEach((pattern, value) => {
+      const error = pattern.reduce((acc, modules, i) => acc + Math.abs(modules - scaled[i]), 0) / 4;
+      if (!best || error < best.error) best = { value, parity, error };
+    });
+  });
+  return best && best.error <= MAX_DIGIT_ERROR ? best : null;
+}
@@ -0,0 +1,148 @@
+/**
+ * Cámara del escáner
+ * Abre el stream con la última lente elegida y expone linterna, zoom y
+ * enfoque por toque cuando el track los soporta (getCapabilities/applyConstraints).
+ * Lente, linterna y zoom se recuerdan en localStorage.
+ */
+
+const PREFS_KEY = 'ecoCamera';
+
+export default class Camera {
+  constructor() {
+    this.stream = null;
+    this.track = null;
+    this.prefs = { facingMode: 'environment', torch: false, zoom: null, ...readPrefs() };
+  }
+
+  static get isSupported() {
+    return Boolean(navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+  }
+
+  get active() {
+    return Boolean(this.stream);
+  }
+
+  get facingMode() {
+    return this.prefs.facingMode;
+  }
+
+  // Lo que reporta el track; en equipos que no lo dicen, lo que se pidió
+  get isFrontFacing() {
+    const settings = this.track && typeof this.track.getSettings === 'function' ? this.track.getSettings() : {};
+    return (settings.facingMode || this.prefs.facingMode) === 'user';
+  }
+
+  /**
+   * Abre la cámara en el video y aplica linterna y zoom guardados
+   * @param {HTMLVideoElement} video
+   * @throws {DOMException} - Sin permiso o sin cámara
+   */
+  async open(video) {
+    this.stop();
+    // 'ideal' para que en equipos con una sola cámara no falle
+    this.stream = await navigator.mediaDevices.getUserMedia({
+      video: { facingMode: { ideal: this.prefs.facingMode } }
+    });
+    this.track = this.stream.getVideoTracks()[0] || null;
+
+    video.srcObject = this.stream;
+    await video.play().catch(() => {}); // sin autoplay igual hay frames para capturar
+
+    const { torch, zoom } = this.capabilities;
+    if (torch && this.prefs.torch) await this.apply({ torch: true });
+    if (zoom && typeof this.prefs.zoom === 'number') {
+      await this.apply({ zoom: Math.min(zoom.max, Math.max(zoom.min, this.prefs.zoom)) });
+    }
+  }
+
+  stop() {
+    if (this.stream) this.stream.getTracks().forEach((track) => track.stop());
+    this.stream = null;
+    this.track = null;
+  }
+
+  /**
+   * Controles que ofrece el track actual
+   * @returns {{torch: boolean, zoom: {min: number, max: number, step: number, value: number}|null, focus: boolean}}
+   */
+  get capabilities() {
+    const caps = this.track && typeof this.track.getCapabilities === 'function' ? this.track.getCapabilities() : {};
+    const settings = this.track && typeof this.track.getSettings === 'function' ? this.track.getSettings() : {};
+    const supported = navigator.mediaDevices.getSupportedConstraints ? navigator.mediaDevices.getSupportedConstraints() : {};
+
+    return {
+      torch: Boolean(caps.torch),
+      zoom: caps.zoom && caps.zoom.max > caps.zoom.min
+        ? { min: caps.zoom.min, max: caps.zoom.max, step: caps.zoom.step || 0.1, value: settings.zoom || caps.zoom.min }
+        : null,
+      focus: Boolean(supported.pointsOfInterest || (caps.focusMode && caps.focusMode.includes('single-shot')))
+    };
+  }
+
+  /**
+   * True si el equipo tiene más de una cámara
+   */
+  async canSwitch() {
+    if (!navigator.mediaDevices.enumerateDevices) return false;
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    return devices.filter((device) => device.kind === 'videoinput').length > 1;
+  }
+
+  /**
+   * Pasa de la cámara trasera a la frontal o al revés
+   * @param {HTMLVideoElement} video
+   */
+  async switchFacing(video) {
+    this.savePrefs({ facingMode: this.prefs.facingMode === 'environment' ? 'user' : 'environment' });
+    await this.open(video);
+  }
+
+  async setTorch(on) {
+    this.savePrefs({ torch: on });
+    return this.apply({ torch: on });
+  }
+
+  async setZoom(value) {
+    this.savePrefs({ zoom: value });
+    return this.apply({ zoom: value });
+  }
+
+  /**
+   * Enfoca en un punto del frame
+   * @param {number} x - 0..1 desde la izquierda
+   * @param {number} y - 0..1 desde arriba
+   * @returns {Promise<boolean>} - False si el track no permite enfocar
+   */
+  async focusAt(x, y) {
+    if (!this.capabilities.focus) return false;
+    const caps = typeof this.track.getCapabilities === 'function' ? this.track.getCapabilities() : {};
+    const constraint = { pointsOfInterest: [{ x, y }] };
+    if (caps.focusMode && caps.focusMode.includes('single-shot')) constraint.focusMode = 'single-shot';
+    return this.apply(constraint);
+  }
+
+  // --- Helpers ---
+  async apply(constraint) {
+    if (!this.track) return false;
+    try {
+      await this.track.applyConstraints({ advanced: [constraint] });
+      return true;
+    } catch (error) {
+      console.warn('La cámara no aceptó el ajuste:', constraint, error);
+      return false;
+    }
+  }
+
+  savePrefs(changes) {
+    Object.assign(this.prefs, changes);
+    localStorage.setItem(PREFS_KEY, JSON.stringify(this.prefs));
+  }
+}
+
+function readPrefs() {
+  try {
+    return JSON.parse(localStorage.getItem(PREFS_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
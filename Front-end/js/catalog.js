@@ -0,0 +1,217 @@
+/**
+ * Catálogo de materiales y canecas
+ * Es la única fuente de caneca, color, instrucciones y puntos por material.
+ * Los perfiles de región (ciudades, campus) reasignan canecas e instrucciones
+ * sobre el esquema nacional.
+ *
+ * Se descarga de GET /catalogo y se guarda en localStorage con su versión.
+ * Mientras no haya una copia descargada se usa el que trae la app (catalogo.json),
+ * así el escáner y la guía funcionan sin conexión.
+ */
+
+import Api from './api.js';
+import { normalize } from './material-matcher.js';
+
+const CACHE_KEY = 'ecoCatalog';
+const BUNDLED_URL = new URL('../catalogo.json', import.meta.url);
+
+let catalogPromise = null;
+let current = null;
+const listeners = new Set();
+
+export class Catalog {
+  /**
+   * @param {object} data - { version, canecas: { id: { nombre, descripcion, color } }, materiales: [...],
+   *                          perfiles: { id: { nombre, canecas, materiales: { idMaterial: { caneca, instrucciones, reciclable } } } },
+   *                          perfil_predeterminado }
+   */
+  constructor(data) {
+    this.version = Number(data.version) || 0;
+    this.bins = data.canecas || {};
+    this.profiles = data.perfiles || {};
+    this.defaultProfile = data.perfil_predeterminado || Object.keys(this.profiles)[0] || null;
+    this.materials = (data.materiales || []).map((m) => ({
+      id: m.id,
+      name: m.nombre,
+      bin: m.caneca,
+      recyclable: m.reciclable !== false,
+      instructions: m.instrucciones || '',
+      points: Number(m.puntos) || 0,
+      synonyms: m.sinonimos || []
+    }));
+
+    // Nombre, id o sinónimo (sin tildes) → material
+    this.index = new Map();
+    this.materials.forEach((material) => {
+      [material.name, material.id, ...material.synonyms].forEach((term) => {
+        const key = normalize(term);
+        if (key && !this.index.has(key)) this.index.set(key, material);
+      });
+    });
+  }
+
+  get names() {
+    return this.materials.map((m) => m.name);
+  }
+
+  get synonyms() {
+    return Object.fromEntries(this.materials.map((m) => [m.name, m.synonyms]));
+  }
+
+  /**
+   * @param {string} name - Nombre, id o sinónimo exacto (tildes y mayúsculas no importan)
+   */
+  find(name) {
+    return this.index.get(normalize(name)) || null;
+  }
+
+  /**
+   * True si los dos nombres son el mismo material (p. ej. "pet" y "botella de plástico")
+   */
+  sameMaterial(a, b) {
+    const first = this.find(a);
+    const second = this.find(b);
+    return first && second ? first.id === second.id : normalize(a) === normalize(b);
+  }
+
+  /**
+   * @returns {Array<{id: string, name: string}>} - Perfiles de región para elegir
+   */
+  get profileList() {
+    return Object.entries(this.profiles).map(([id, profile]) => ({ id, name: profile.nombre || id }));
+  }
+
+  hasProfile(profileId) {
+    return Boolean(profileId && this.profiles[profileId]);
+  }
+
+  /**
+   * "Blanca (Aprovechables)", con las canecas propias del perfil si las tiene
+   */
+  binLabel(binId, profileId = this.defaultProfile) {
+    const bin = this.binsFor(profileId)[binId];
+    if (!bin) return binId || '';
+    return bin.descripcion ? `${bin.nombre} (${bin.descripcion})` : bin.nombre;
+  }
+
+  binsFor(profileId) {
+    return { ...this.bins, ...this.profiles[profileId]?.canecas };
+  }
+
+  /**
+   * Completa un resultado (del backend, del simulador o de la voz) con la ficha del catálogo,
+   * aplicando el perfil de región. Si el material no está en el catálogo se muestra lo que
+   * haya traído el resultado.
+   * @param {object} result - Al menos { item }; points, si viene, son los que se acreditaron
+   * @param {string} profileId - Perfil de región; sin él se usa el predeterminado
+   * @returns {{item: string, material: object|null, binId: string|null, binLabel: string, binColor: string|null,
+   *            recyclable: boolean, instructions: string, points: number}}
+   */
+  describe(result, profileId = this.defaultProfile) {
+    const material = this.find(result.item);
+    if (!material) {
+      return {
+        item: result.item,
+        material: null,
+        binId: null,
+        binLabel: result.bin || 'Sin clasificar',
+        binColor: null,
+        recyclable: result.recyclable !== false,
+        instructions: result.instructions || '',
+        points: Number(result.points) || 0
+      };
+    }
+
+    const override = this.profiles[profileId]?.materiales?.[material.id] || {};
+    const binId = override.caneca || material.bin;
+
+    return {
+      item: material.name,
+      material,
+      binId,
+      binLabel: this.binLabel(binId, profileId),
+      binColor: this.binsFor(profileId)[binId]?.color || null,
+      recyclable: override.reciclable ?? material.recyclable,
+      instructions: override.instrucciones || material.instructions,
+      points: typeof result.points === 'number' ? result.points : material.points
+    };
+  }
+}
+
+/**
+ * Devuelve el catálogo local (el más nuevo entre el descargado y el de la app)
+ * y lo actualiza desde el backend en segundo plano
+ * @returns {Promise<Catalog>}
+ */
+export function loadCatalog() {
+  if (!catalogPromise) {
+    catalogPromise = (async () => {
+      const cached = readCache();
+      const bundled = await fetchBundled();
+      const data = [cached, bundled]
+        .filter(Boolean)
+        .sort((a, b) => (Number(b.version) || 0) - (Number(a.version) || 0))[0];
+
+      current = new Catalog(data || {});
+      refreshCatalog();
+      return current;
+    })();
+  }
+  return catalogPromise;
+}
+
+/**
+ * Catálogo ya cargado (null si loadCatalog no ha terminado)
+ */
+export function getCatalog() {
+  return current;
+}
+
+/**
+ * @param {Function} callback - Recibe el Catalog nuevo cuando llega otra versión
+ */
+export function onCatalogChange(callback) {
+  listeners.add(callback);
+  return () => listeners.delete(callback);
+}
+
+/**
+ * Pide al backend la versión vigente; solo se descarga completo si cambió
+ * @returns {Promise<boolean>} - True si el catálogo cambió
+ */
+export async function refreshCatalog() {
+  try {
+    const data = await Api.catalogo(current ? current.version : 0);
+    if (!data || data.sin_cambios || !Array.isArray(data.materiales)) return false;
+    if (current && Number(data.version) === current.version) return false;
+
+    current = new Catalog(data);
+    localStorage.setItem(CACHE_KEY, JSON.stringify(data));
+    listeners.forEach((callback) => callback(current));
+    return true;
+  } catch (error) {
+    console.error('No pude actualizar el catálogo:', error);
+    return false;
+  }
+}
+
+// --- Helpers ---
+function readCache() {
+  try {
+    const data = JSON.parse(localStorage.getItem(CACHE_KEY));
+    return data && Array.isArray(data.materiales) ? data : null;
+  } catch {
+    return null;
+  }
+}
+
+async function fetchBundled() {
+  try {
+    const res = await fetch(BUNDLED_URL);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    return await res.json();
+  } catch (error) {
+    console.error('No pude cargar catalogo.json:', error);
+    return null;
+  }
+}
@@ -0,0 +1,100 @@
+/**
+ * Configuración de entorno de EcoRecycle
+ * Lee config.json al arrancar y elige backend, timeouts y feature flags
+ *
+ * El entorno se resuelve en este orden:
+ *   1. ?env=<nombre> en la URL (útil para probar)
+ *   2. <meta name="eco-env" content="<nombre>"> en la página
+ *   3. El hostname actual según el mapa "hosts" de config.json
+ *   4. "defaultEnvironment" de config.json
+ */
+
+import Api from './api.js';
+
+// Relativo a este módulo, así funciona igual desde / y desde /login/html/
+const CONFIG_URL = new URL('../config.json', import.meta.url);
+
+let configPromise = null;
+let current = null;
+
+/**
+ * Carga config.json una sola vez y configura el cliente de la API
+ * @returns {Promise<object>} - Configuración del entorno activo
+ */
+export function loadConfig() {
+  if (!configPromise) {
+    configPromise = fetchConfigFile().then((file) => {
+      current = resolveEnvironment(file);
+      Api.configure({ baseUrl: current.apiBaseUrl, ...current.api });
+      if (current.features.devBanner) showEnvBanner(current);
+      return current;
+    });
+  }
+  return configPromise;
+}
+
+/**
+ * Configuración ya cargada (null si loadConfig no ha terminado)
+ */
+export function getConfig() {
+  return current;
+}
+
+/**
+ * @param {string} name - Nombre del flag en "features"
+ * @returns {boolean}
+ */
+export function isFeatureEnabled(name) {
+  return Boolean(current && current.features[name]);
+}
+
+async function fetchConfigFile() {
+  try {
+    const res = await fetch(CONFIG_URL, { cache: 'no-cache' });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    return await res.json();
+  } catch (error) {
+    // Sin config.json la API queda apuntando al mismo origen que la página
+    console.error('No pude cargar config.json:', error);
+    return { defaultEnvironment: 'production', environments: {} };
+  }
+}
+
+function resolveEnvironment(file) {
+  const environments = file.environments || {};
+  const defaults = file.defaults || {};
+
+  const fromQuery = new URLSearchParams(window.location.search).get('env');
+  const fromMeta = document.querySelector('meta[name="eco-env"]')?.content;
+  const fromHost = (file.hosts || {})[window.location.hostname];
+
+  const name = [fromQuery, fromMeta, fromHost, file.defaultEnvironment]
+    .find((candidate) => candidate && environments[candidate]) || file.defaultEnvironment;
+  const env = environments[name] || {};
+
+  return {
+    name,
+    apiBaseUrl: (env.apiBaseUrl || '').replace(/\/+$/, ''),
+    api: { ...defaults.api, ...env.api },
+    features: { ...defaults.features, ...env.features },
+    session: { ...defaults.session, ...env.session },
+    image: { ...defaults.image, ...env.image },
+    continuousScan: { ...defaults.continuousScan, ...env.continuousScan },
+    antiFraud: { ...defaults.antiFraud, ...env.antiFraud },
+    localModel: { ...defaults.localModel, ...env.localModel }
+  };
+}
+
+// Franja visible solo en entornos que no son producción
+function showEnvBanner(config) {
+  if (document.getElementById('env-banner')) return;
+
+  const banner = document.createElement('div');
+  banner.id = 'env-banner';
+  banner.className = 'env-banner';
+  banner.textContent = `${config.name.toUpperCase()} · API: ${config.apiBaseUrl || window.location.origin}`;
+
+  const attach = () => document.body.prepend(banner);
+  if (document.body) attach();
+  else document.addEventListener('DOMContentLoaded', attach, { once: true });
+}
@@ -0,0 +1,203 @@
+/**
+ * Exportación del historial de puntos: CSV, JSON y certificado de participación en PDF
+ *
+ * Todo se arma en el navegador con los movimientos de GET /historial. El PDF es
+ * un documento de una página escrito a mano (sin librerías) con Helvetica, que
+ * traen todos los lectores; por eso el texto va en WinAnsi y lo que no entra
+ * (emojis, subíndices) se reemplaza.
+ */
+
+const CSV_COLUMNS = ['id', 'fecha', 'tipo', 'detalle', 'material', 'caneca', 'monto', 'saldo', 'origen'];
+
+// A4 en puntos
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 56;
+
+/**
+ * @param {Array<object>} rows - Un objeto por movimiento con las claves de CSV_COLUMNS
+ * @returns {Blob} - Con BOM para que Excel respete las tildes
+ */
+export function ledgerToCsv(rows) {
+  const lines = [CSV_COLUMNS, ...rows.map((row) => CSV_COLUMNS.map((column) => row[column]))]
+    .map((cells) => cells.map(csvCell).join(','));
+  return new Blob([`\uFEFF${lines.join('\r\n')}\r\n`], { type: 'text/csv;charset=utf-8' });
+}
+
+/**
+ * @param {object} meta - Cuenta, rango y fecha de generación
+ * @param {Array<object>} movimientos - Tal como los devuelve el backend
+ * @returns {Blob}
+ */
+export function ledgerToJson(meta, movimientos) {
+  return new Blob([JSON.stringify({ ...meta, movimientos }, null, 2)], { type: 'application/json' });
+}
+
+/**
+ * Certificado imprimible con el resumen del periodo
+ * @param {object} data
+ * @param {string} data.account - Correo de la cuenta
+ * @param {Date} data.from - Primer día del periodo
+ * @param {Date} data.to - Último día del periodo
+ * @param {Date} data.issuedAt
+ * @param {{items: number, earned: number, redeemed: number, co2Kg: number}} data.totals
+ * @param {Array<{name: string, count: number, points: number}>} data.materials - Del más reciclado al menos
+ * @returns {Blob}
+ */
+export function certificatePdf({ account, from, to, issuedAt, totals, materials }) {
+  const page = new PdfPage();
+
+  // Franja de color con el nombre del programa
+  page.rect(0, PAGE_HEIGHT - 96, PAGE_WIDTH, 96, [0.086, 0.639, 0.290]);
+  page.text('EcoRecycle', MARGIN, PAGE_HEIGHT - 58, { size: 26, bold: true, color: [1, 1, 1] });
+  page.text('Programa de reciclaje con recompensas', MARGIN, PAGE_HEIGHT - 80, { size: 11, color: [1, 1, 1] });
+
+  let y = PAGE_HEIGHT - 160;
+  page.text('Certificado de participación', MARGIN, y, { size: 22, bold: true });
+  y -= 34;
+  y = page.paragraph(`Se certifica que la cuenta ${account} participó en el programa EcoRecycle ` +
+    `entre el ${longDate(from)} y el ${longDate(to)}, separando sus residuos y registrándolos en la aplicación.`, MARGIN, y, { size: 12 });
+
+  y -= 24;
+  [
+    ['Objetos reciclados', String(totals.items)],
+    ['Puntos ganados', `${totals.earned} pts`],
+    ['Puntos canjeados', `${totals.redeemed} pts`],
+    ['CO2 evitado (estimado)', `${totals.co2Kg.toFixed(1)} kg`]
+  ].forEach(([label, value]) => {
+    page.text(label, MARGIN, y, { size: 12 });
+    page.text(value, MARGIN + 260, y, { size: 12, bold: true });
+    y -= 20;
+  });
+
+  if (materials.length) {
+    y -= 16;
+    page.text('Material', MARGIN, y, { size: 11, bold: true });
+    page.text('Cantidad', MARGIN + 260, y, { size: 11, bold: true });
+    page.text('Puntos', MARGIN + 360, y, { size: 11, bold: true });
+    y -= 6;
+    page.line(MARGIN, y, PAGE_WIDTH - MARGIN, y);
+    y -= 16;
+    // Lo que no quepa en la página se suma en una última fila
+    const rows = materials.length > 18
+      ? [...materials.slice(0, 17), materials.slice(17).reduce((rest, m) => ({
+        name: 'Otros', count: rest.count + m.count, points: rest.points + m.points
+      }), { count: 0, points: 0 })]
+      : materials;
+    rows.forEach((material) => {
+      page.text(capitalize(material.name), MARGIN, y, { size: 11 });
+      page.text(String(material.count), MARGIN + 260, y, { size: 11 });
+      page.text(String(material.points), MARGIN + 360, y, { size: 11 });
+      y -= 18;
+    });
+  }
+
+  page.line(MARGIN, 96, PAGE_WIDTH - MARGIN, 96);
+  page.paragraph(`Generado el ${issuedAt.toLocaleString('es-CO')} a partir del historial de puntos de la cuenta. ` +
+    'El CO2 evitado es una estimación por objeto reciclado.', MARGIN, 80, { size: 9, color: [0.42, 0.45, 0.5] });
+
+  return page.toBlob();
+}
+
+/**
+ * Descarga un archivo generado en el navegador
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Safari cancela la descarga si la URL se revoca en el mismo tick
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// --- Helpers ---
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function longDate(date) {
+  return date.toLocaleDateString('es-CO', { day: 'numeric', month: 'long', year: 'numeric' });
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+// Página PDF con lo mínimo: texto Helvetica, rectángulos y líneas
+class PdfPage {
+  constructor() {
+    this.ops = [];
+  }
+
+  text(value, x, y, { size = 12, bold = false, color = [0.12, 0.16, 0.22] } = {}) {
+    this.ops.push(`${color.join(' ')} rg BT /${bold ? 'F2' : 'F1'} ${size} Tf ${x} ${y} Td (${pdfString(value)}) Tj ET`);
+  }
+
+  // Texto con salto de línea aproximado (Helvetica mide ~0,5 em por carácter); devuelve la y siguiente
+  paragraph(value, x, y, { size = 12, color } = {}) {
+    const maxChars = Math.floor((PAGE_WIDTH - x - MARGIN) / (size * 0.5));
+    const lines = value.split(' ').reduce((acc, word) => {
+      const last = acc[acc.length - 1];
+      if (last && `${last} ${word}`.length <= maxChars) acc[acc.length - 1] = `${last} ${word}`;
+      else acc.push(word);
+      return acc;
+    }, []);
+    lines.forEach((line) => {
+      this.text(line, x, y, { size, color });
+      y -= Math.round(size * 1.4);
+    });
+    return y;
+  }
+
+  rect(x, y, width, height, color) {
+    this.ops.push(`${color.join(' ')} rg ${x} ${y} ${width} ${height} re f`);
+  }
+
+  line(x1, y1, x2, y2) {
+    this.ops.push(`0.82 0.84 0.86 RG 1 w ${x1} ${y1} m ${x2} ${y2} l S`);
+  }
+
+  toBlob() {
+    const content = this.ops.join('\n');
+    const objects = [
+      '<< /Type /Catalog /Pages 2 0 R >>',
+      '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+        '/Resources << /Font << /F1 4 0 R /F2 5 0 R >> >> /Contents 6 0 R >>',
+      '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+      '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+      `<< /Length ${content.length} >>\nstream\n${content}\nendstream`
+    ];
+
+    // Un carácter = un byte, así los offsets de la tabla xref salen de .length
+    let pdf = '%PDF-1.4\n%\xE2\xE3\xCF\xD3\n';
+    const offsets = objects.map((body, i) => {
+      const offset = pdf.length;
+      pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+      return offset;
+    });
+    const xref = pdf.length;
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+    return new Blob([Uint8Array.from(pdf, (char) => char.charCodeAt(0))], { type: 'application/pdf' });
+  }
+}
+
+// Texto a WinAnsi (Latin-1 cubre las tildes y la ñ) con los paréntesis escapados
+function pdfString(value) {
+  return String(value)
+    .replace(/[\u2010-\u2015]/g, '-')
+    .replace(/[\u2018\u2019]/g, "'")
+    .replace(/[\u201C\u201D]/g, '"')
+    .replace(/\u2026/g, '...')
+    .replace(/[\u2009\u202F]/g, ' ') // toLocaleString separa la hora con espacios finos
+    .replace(/[^\x20-\x7E\xA0-\xFF]/g, '?')
+    .replace(/[\\()]/g, (char) => `\\${char}`);
+}
@@ -0,0 +1,68 @@
+/**
+ * Temporizador de inactividad
+ * La última actividad se guarda en localStorage para que una pestaña
+ * en uso mantenga viva la sesión de las demás
+ */
+
+const ACTIVITY_KEY = 'ecoLastActivity';
+const ACTIVITY_EVENTS = ['pointerdown', 'keydown', 'scroll', 'touchstart'];
+const CHECK_INTERVAL = 5000;   // ms entre comprobaciones
+const WRITE_THROTTLE = 5000;   // ms mínimos entre escrituras a localStorage
+
+export default class IdleTimer {
+  /**
+   * @param {object} options
+   * @param {number} options.timeout - ms sin actividad antes de expirar
+   * @param {number} options.warningTime - ms antes de expirar en que se avisa
+   * @param {Function} options.onWarn - Recibe los ms que quedan
+   * @param {Function} options.onExpire - Se llama una sola vez al expirar
+   */
+  constructor({ timeout, warningTime = 0, onWarn = () => {}, onExpire = () => {} }) {
+    this.timeout = timeout;
+    this.warningTime = Math.min(warningTime, timeout);
+    this.onWarn = onWarn;
+    this.onExpire = onExpire;
+    this.warned = false;
+    this.interval = null;
+    this.lastWrite = 0;
+    this.handleActivity = this.handleActivity.bind(this);
+  }
+
+  start() {
+    if (this.interval || !this.timeout) return;
+    this.markActivity(true);
+    ACTIVITY_EVENTS.forEach((type) => window.addEventListener(type, this.handleActivity, { passive: true }));
+    this.interval = setInterval(() => this.check(), CHECK_INTERVAL);
+  }
+
+  stop() {
+    clearInterval(this.interval);
+    this.interval = null;
+    ACTIVITY_EVENTS.forEach((type) => window.removeEventListener(type, this.handleActivity));
+  }
+
+  handleActivity() {
+    this.markActivity(false);
+  }
+
+  markActivity(force) {
+    const now = Date.now();
+    this.warned = false;
+    if (!force && now - this.lastWrite < WRITE_THROTTLE) return;
+    this.lastWrite = now;
+    localStorage.setItem(ACTIVITY_KEY, String(now));
+  }
+
+  check() {
+    const last = Number(localStorage.getItem(ACTIVITY_KEY)) || Date.now();
+    const remaining = this.timeout - (Date.now() - last);
+
+    if (remaining <= 0) {
+      this.stop();
+      this.onExpire();
+    } else if (remaining <= this.warningTime && !this.warned) {
+      this.warned = true;
+      this.onWarn(remaining);
+    }
+  }
+}
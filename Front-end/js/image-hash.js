@@ -0,0 +1,98 @@
+/**
+ * Hash perceptual de imágenes (dHash de 64 bits)
+ * Dos frames de la misma escena dan hashes a pocos bits de distancia aunque
+ * cambie un poco la luz o el encuadre; un objeto nuevo cambia muchos bits.
+ * Lo usa el escaneo continuo para no llamar a /classify con frames repetidos
+ * y el filtro de escaneos repetidos (js/recent-scans.js).
+ */
+
+const HASH_SIZE = 8; // 8x8 comparaciones = 64 bits
+
+let canvas = null;
+
+/**
+ * @param {CanvasImageSource} source - Video, imagen, canvas o ImageBitmap
+ * @returns {Uint8Array|null} - 8 bytes; null si la fuente aún no tiene imagen
+ */
+export function imageHash(source) {
+  const width = source.videoWidth || source.naturalWidth || source.width;
+  const height = source.videoHeight || source.naturalHeight || source.height;
+  if (!width || !height) return null;
+
+  if (!canvas) {
+    canvas = document.createElement('canvas');
+    canvas.width = HASH_SIZE + 1;
+    canvas.height = HASH_SIZE;
+  }
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  context.drawImage(source, 0, 0, HASH_SIZE + 1, HASH_SIZE);
+  return dHash(context.getImageData(0, 0, HASH_SIZE + 1, HASH_SIZE).data);
+}
+
+/**
+ * dHash sobre los píxeles RGBA de una imagen de 9x8: cada bit dice si un píxel
+ * es más claro que su vecino de la derecha
+ * @param {Uint8ClampedArray} rgba
+ * @returns {Uint8Array}
+ */
+export function dHash(rgba) {
+  const hash = new Uint8Array(HASH_SIZE);
+  for (let y = 0; y < HASH_SIZE; y++) {
+    for (let x = 0; x < HASH_SIZE; x++) {
+      const left = luminance(rgba, y * (HASH_SIZE + 1) + x);
+      const right = luminance(rgba, y * (HASH_SIZE + 1) + x + 1);
+      if (left > right) hash[y] |= 1 << x;
+    }
+  }
+  return hash;
+}
+
+/**
+ * Bits distintos entre dos hashes (0 = idénticos, 64 = opuestos)
+ */
+export function hammingDistance(a, b) {
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    let diff = a[i] ^ b[i];
+    while (diff) {
+      distance += diff & 1;
+      diff >>= 1;
+    }
+  }
+  return distance;
+}
+
+/**
+ * Hash de una imagen ya codificada (p. ej. la foto preprocesada)
+ * @param {Blob} blob
+ * @returns {Promise<Uint8Array|null>} - null si el navegador no la puede decodificar
+ */
+export async function blobHash(blob) {
+  try {
+    const bitmap = await createImageBitmap(blob);
+    try {
+      return imageHash(bitmap);
+    } finally {
+      bitmap.close();
+    }
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Hash en hexadecimal (16 caracteres), para enviarlo al backend o guardarlo
+ */
+export function hashToHex(hash) {
+  return Array.from(hash, (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+export function hexToHash(hex) {
+  return Uint8Array.from(hex.match(/../g) || [], (pair) => parseInt(pair, 16));
+}
+
+// --- Helpers ---
+function luminance(rgba, pixel) {
+  const i = pixel * 4;
+  return 0.299 * rgba[i] + 0.587 * rgba[i + 1] + 0.114 * rgba[i + 2];
+}
@@ -0,0 +1,161 @@
+/**
+ * Preprocesamiento de imágenes antes de subirlas a /classify
+ *
+ * - Reduce la imagen al tamaño de entrada del modelo (lado mayor = maxSize)
+ * - Corrige la orientación EXIF si el navegador no lo hace solo
+ * - Re-codifica en un canvas: el resultado sale sin EXIF (ni GPS)
+ */
+
+const DEFAULTS = {
+  maxSize: 640,          // px del lado mayor
+  quality: 0.8,          // 0..1, solo para formatos con pérdida
+  type: 'image/jpeg'
+};
+
+const JPEG_SOI = 0xFFD8;
+const APP1 = 0xFFE1;
+const SOS = 0xFFDA;
+const ORIENTATION_TAG = 0x0112;
+
+/**
+ * @param {Blob|HTMLVideoElement|HTMLCanvasElement} source - Archivo/foto o frame de la cámara
+ * @param {object} options - maxSize, quality, type (sección "image" de config.json)
+ * @returns {Promise<Blob>} - Imagen lista para subir, sin metadatos
+ * @throws {Error} - Si el navegador no puede leer la imagen (p. ej. HEIC)
+ */
+export async function preprocessImage(source, options = {}) {
+  const { maxSize, quality, type } = { ...DEFAULTS, ...options };
+
+  let image = source;
+  let orientation = 1;
+  if (source instanceof Blob) {
+    // La mayoría de navegadores ya aplican el EXIF al decodificar; si no, lo hacemos a mano
+    if (!browserAppliesOrientation()) orientation = readExifOrientation(await source.arrayBuffer());
+    image = await decodeImage(source);
+  }
+
+  const sourceWidth = image.videoWidth || image.naturalWidth || image.width;
+  const sourceHeight = image.videoHeight || image.naturalHeight || image.height;
+  if (!sourceWidth || !sourceHeight) throw new Error('La imagen está vacía');
+
+  const scale = Math.min(1, maxSize / Math.max(sourceWidth, sourceHeight));
+  const width = Math.round(sourceWidth * scale);
+  const height = Math.round(sourceHeight * scale);
+  const swap = orientation >= 5;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = swap ? height : width;
+  canvas.height = swap ? width : height;
+
+  const context = canvas.getContext('2d');
+  if (type === 'image/jpeg') {
+    // JPEG no tiene transparencia: fondo blanco en vez de negro
+    context.fillStyle = '#fff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+  }
+  applyOrientation(context, orientation, width, height);
+  context.drawImage(image, 0, 0, width, height);
+  if (typeof image.close === 'function') image.close();
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (blob) resolve(blob);
+      else reject(new Error('No se pudo codificar la imagen'));
+    }, type, quality);
+  });
+}
+
+/**
+ * Lee la orientación EXIF (1..8) de un JPEG; 1 si no tiene o no es JPEG
+ * @param {ArrayBuffer} buffer
+ * @returns {number}
+ */
+export function readExifOrientation(buffer) {
+  const view = new DataView(buffer);
+  if (view.byteLength < 4 || view.getUint16(0) !== JPEG_SOI) return 1;
+
+  let offset = 2;
+  while (offset + 4 <= view.byteLength) {
+    const marker = view.getUint16(offset);
+    const length = view.getUint16(offset + 2);
+    if (marker === SOS || (marker & 0xFF00) !== 0xFF00) break; // ya empiezan los datos de imagen
+
+    if (marker === APP1 && isExifHeader(view, offset + 4)) {
+      return readOrientationFromTiff(view, offset + 10);
+    }
+    offset += 2 + length;
+  }
+  return 1;
+}
+
+// --- Helpers ---
+let orientationSupport = null;
+
+// Los navegadores que soportan la propiedad CSS también rotan al decodificar
+function browserAppliesOrientation() {
+  if (orientationSupport === null) {
+    orientationSupport = typeof CSS !== 'undefined' && CSS.supports('image-orientation', 'from-image');
+  }
+  return orientationSupport;
+}
+
+async function decodeImage(blob) {
+  if (typeof createImageBitmap === 'function') {
+    try {
+      return await createImageBitmap(blob);
+    } catch {
+      // Safari viejo: seguimos con <img>
+    }
+  }
+
+  const url = URL.createObjectURL(blob);
+  try {
+    const img = new Image();
+    img.src = url;
+    await img.decode();
+    return img;
+  } catch {
+    throw new Error('No se pudo leer la imagen. Prueba con una foto JPG o PNG.');
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+// "Exif\0\0"
+function isExifHeader(view, offset) {
+  return offset + 6 <= view.byteLength
+    && view.getUint32(offset) === 0x45786966
+    && view.getUint16(offset + 4) === 0;
+}
+
+function readOrientationFromTiff(view, tiffStart) {
+  if (tiffStart + 8 > view.byteLength) return 1;
+  const littleEndian = view.getUint16(tiffStart) === 0x4949; // "II"
+  const ifdStart = tiffStart + view.getUint32(tiffStart + 4, littleEndian);
+  if (ifdStart + 2 > view.byteLength) return 1;
+
+  const entries = view.getUint16(ifdStart, littleEndian);
+  for (let i = 0; i < entries; i++) {
+    const entry = ifdStart + 2 + i * 12;
+    if (entry + 12 > view.byteLength) break;
+    if (view.getUint16(entry, littleEndian) === ORIENTATION_TAG) {
+      const value = view.getUint16(entry + 8, littleEndian);
+      return value >= 1 && value <= 8 ? value : 1;
+    }
+  }
+  return 1;
+}
+
+// Transformación del canvas para cada valor EXIF; width/height son los de la imagen sin rotar
+function applyOrientation(context, orientation, width, height) {
+  switch (orientation) {
+    case 2: context.transform(-1, 0, 0, 1, width, 0); break;
+    case 3: context.transform(-1, 0, 0, -1, width, height); break;
+    case 4: context.transform(1, 0, 0, -1, 0, height); break;
+    case 5: context.transform(0, 1, 1, 0, 0, 0); break;
+    case 6: context.transform(0, 1, -1, 0, height, 0); break;
+    case 7: context.transform(0, -1, -1, 0, height, width); break;
+    case 8: context.transform(0, -1, 1, 0, 0, width); break;
+    default: break;
+  }
+}
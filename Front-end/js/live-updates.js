@@ -0,0 +1,143 @@
+/**
+ * Cambios en vivo de la cuenta: saldo, movimientos del ledger y stock de premios
+ *
+ * Usa Server-Sent Events (GET /eventos?ticket=…; EventSource no deja mandar el
+ * header Authorization, así que cada conexión pide antes un ticket de un solo uso
+ * con el token). Si el navegador no trae EventSource o el stream falla
+ * varias veces seguidas, pasa a long-polling con GET /eventos/espera.
+ * Al reconectar pide desde el último id recibido para no perder eventos.
+ */
+
+import Api from './api.js';
+
+const EVENT_TYPES = ['puntos', 'historial', 'premio'];
+const SSE_FAILURES_BEFORE_POLLING = 3;
+const POLL_TIMEOUT = 35000; // ms; el servidor responde a los 25 s aunque no haya nada
+const MAX_BACKOFF = 60000;  // ms entre reintentos cuando no hay conexión
+
+export default class LiveUpdates {
+  /**
+   * @param {object} handlers
+   * @param {Function} handlers.onEvent - (tipo, datos) por cada evento: 'puntos' | 'historial' | 'premio'
+   * @param {Function} handlers.onConnect - Al conectar o reconectar, para traer lo que no llegue por el canal
+   */
+  constructor({ onEvent, onConnect = () => {} }) {
+    this.onEvent = onEvent;
+    this.onConnect = onConnect;
+    this.mode = typeof EventSource !== 'undefined' ? 'sse' : 'poll';
+    this.running = false;
+    this.connected = false;
+    this.lastId = 0;
+    this.failures = 0;
+    this.source = null;
+    this.pollController = null;
+    this.timer = null;
+  }
+
+  start() {
+    if (this.running) return;
+    this.running = true;
+    this.connect();
+  }
+
+  stop() {
+    this.running = false;
+    this.connected = false;
+    clearTimeout(this.timer);
+    if (this.source) this.source.close();
+    this.source = null;
+    if (this.pollController) this.pollController.abort();
+    this.pollController = null;
+  }
+
+  // --- Helpers ---
+  connect() {
+    if (!this.running) return;
+    if (this.mode === 'sse') this.openStream();
+    else this.poll();
+  }
+
+  async openStream() {
+    let ticket;
+    try {
+      ({ ticket } = await Api.ticketEventos());
+    } catch {
+      if (this.running) this.retry();
+      return;
+    }
+    if (!this.running) return;
+
+    const url = new URL(`${Api.baseUrl}/eventos`, window.location.href);
+    url.searchParams.set('ticket', ticket);
+    if (this.lastId) url.searchParams.set('desde', String(this.lastId));
+
+    const source = new EventSource(url.href);
+    this.source = source;
+    source.onopen = () => {
+      this.failures = 0;
+      this.markConnected();
+    };
+    EVENT_TYPES.forEach((type) => {
+      source.addEventListener(type, (event) => this.receive(type, event.data, event.lastEventId));
+    });
+    source.onerror = () => {
+      this.connected = false;
+      if (this.source !== source) return;
+      // El reintento automático del navegador usaría el mismo ticket, que ya se gastó:
+      // se cierra y se reconecta con uno nuevo (y lastId como ?desde=)
+      source.close();
+      this.source = null;
+      this.retry();
+    };
+  }
+
+  async poll() {
+    const controller = new AbortController();
+    this.pollController = controller;
+    try {
+      const query = this.lastId ? `?desde=${this.lastId}` : '';
+      const res = await Api.request(`/eventos/espera${query}`, { timeout: POLL_TIMEOUT, retries: 0, signal: controller.signal });
+      if (!this.running) return;
+      this.failures = 0;
+      this.markConnected();
+      ((res && res.eventos) || []).forEach((event) => this.receive(event.tipo, event.datos, event.id));
+      if (res && res.ultimo) this.lastId = Math.max(this.lastId, Number(res.ultimo) || 0);
+      this.timer = setTimeout(() => this.connect(), 0);
+    } catch (error) {
+      if (!this.running || error.code === 'aborted') return;
+      this.connected = false;
+      this.retry();
+    }
+  }
+
+  retry() {
+    this.failures++;
+    // El ticket se pide con Api.request, que ya renueva el token vencido
+    if (this.mode === 'sse' && this.failures >= SSE_FAILURES_BEFORE_POLLING) {
+      console.warn('El stream de eventos no responde; paso a long-polling');
+      this.mode = 'poll';
+    }
+    const delay = Math.min(MAX_BACKOFF, 1000 * 2 ** (this.failures - 1));
+    this.timer = setTimeout(() => this.connect(), delay);
+  }
+
+  markConnected() {
+    if (this.connected) return;
+    this.connected = true;
+    this.onConnect();
+  }
+
+  receive(type, data, id) {
+    if (id) this.lastId = Math.max(this.lastId, Number(id) || 0);
+    let payload = data;
+    if (typeof data === 'string') {
+      try {
+        payload = JSON.parse(data);
+      } catch {
+        console.warn('Evento con datos inválidos:', type, data);
+        return;
+      }
+    }
+    this.onEvent(type, payload);
+  }
+}
@@ -0,0 +1,127 @@
+/**
+ * Clasificador en el dispositivo para cuando /classify no responde
+ *
+ * Carga TensorFlow.js y el modelo (exportado como en Teachable Machine:
+ * model.json + pesos + metadata.json con "labels") solo la primera vez que
+ * se necesita. Las etiquetas son ids o nombres del catálogo.
+ * Es una estimación: nunca acredita puntos; el escaneo igual queda en la
+ * cola para que el servidor lo verifique.
+ *
+ * Los archivos van como estáticos de la app (rutas en config.json → "localModel"):
+ *   vendor/tfjs/tf.min.js, vendor/tfjs/tf-backend-wasm.min.js (+ sus .wasm), en el repo
+ *   models/clasificador/model.json, weights.bin y metadata.json, de la exportación del modelo
+ * Ambos se instalan con `node tools/local-model.js --model <url o carpeta>`. El modelo
+ * no está en el repo: features.localModel queda apagado hasta desplegarlo.
+ */
+
+let modelPromise = null;
+
+/**
+ * @param {Blob} image - Foto ya preprocesada
+ * @param {object} options - Sección "localModel" de config.json
+ * @returns {Promise<{item: string, confidence: number, alternatives: Array<{item: string, confidence: number}>}>}
+ * @throws {Error} - Si el runtime o el modelo no se pudieron cargar
+ */
+export async function classifyLocally(image, options) {
+  const { tf, model, labels } = await loadModel(options);
+  const bitmap = await createImageBitmap(image);
+
+  let scores;
+  try {
+    const output = tf.tidy(() => {
+      // Teachable Machine entrena con píxeles en [-1, 1]
+      const pixels = tf.browser.fromPixels(bitmap)
+        .resizeBilinear([options.inputSize, options.inputSize])
+        .toFloat()
+        .div(127.5)
+        .sub(1)
+        .expandDims(0);
+      return model.predict(pixels);
+    });
+    scores = await output.data();
+    output.dispose();
+  } finally {
+    bitmap.close();
+  }
+
+  const ranked = Array.from(scores, (confidence, i) => ({ item: labels[i], confidence }))
+    .filter((entry) => entry.item)
+    .sort((a, b) => b.confidence - a.confidence);
+  if (!ranked.length) throw new Error('El modelo local no devolvió etiquetas');
+
+  const [best, ...rest] = ranked;
+  return { item: best.item, confidence: best.confidence, alternatives: rest.slice(0, 2) };
+}
+
+/**
+ * Descarga runtime y modelo sin ejecutarlos, para que el service worker los
+ * guarde y estén disponibles sin conexión. Lo que ya está en caché no se pide.
+ * @param {object} options - Sección "localModel" de config.json
+ */
+export async function prefetchLocalModel(options) {
+  const modelUrl = resolve(options.modelUrl);
+  try {
+    // Los pesos están listados en model.json, relativos a él
+    const modelJson = await fetchUncached(modelUrl, { read: true });
+    const shards = (modelJson.weightsManifest || [])
+      .flatMap((group) => group.paths || [])
+      .map((path) => new URL(path, modelUrl).href);
+    const urls = [...options.scripts.map(resolve), resolve(options.metadataUrl), ...shards];
+    await Promise.all(urls.map((url) => fetchUncached(url)));
+  } catch (error) {
+    console.warn('No pude descargar el modelo local:', error);
+  }
+}
+
+// --- Helpers ---
+function loadModel(options) {
+  if (!modelPromise) {
+    modelPromise = (async () => {
+      for (const src of options.scripts) await loadScript(resolve(src));
+      const { tf } = window;
+      if (!tf) throw new Error('TensorFlow.js no quedó disponible');
+
+      // WASM si está; si no, CPU (más lento pero siempre funciona). Los .wasm se
+      // buscan junto a los scripts, no relativos a la página
+      if (tf.wasm && options.wasmPath) tf.wasm.setWasmPaths(resolve(options.wasmPath));
+      if (!(await tf.setBackend(options.backend).catch(() => false))) await tf.setBackend('cpu');
+      await tf.ready();
+
+      const modelUrl = resolve(options.modelUrl);
+      const model = await tf.loadLayersModel(modelUrl).catch(() => tf.loadGraphModel(modelUrl));
+      const metadata = await fetch(resolve(options.metadataUrl)).then((res) => res.json());
+      return { tf, model, labels: metadata.labels || [] };
+    })().catch((error) => {
+      modelPromise = null; // se vuelve a intentar en el próximo escaneo
+      throw error;
+    });
+  }
+  return modelPromise;
+}
+
+function loadScript(src) {
+  return new Promise((resolvePromise, reject) => {
+    if (document.querySelector(`script[src="${src}"]`)) return resolvePromise();
+    const script = document.createElement('script');
+    script.src = src;
+    script.async = false;
+    script.onload = () => resolvePromise();
+    script.onerror = () => {
+      script.remove();
+      reject(new Error(`No se pudo cargar ${src}`));
+    };
+    document.head.appendChild(script);
+  });
+}
+
+// Relativa a la página, igual que el resto de estáticos
+function resolve(path) {
+  return new URL(path, document.baseURI).href;
+}
+
+async function fetchUncached(url, { read = false } = {}) {
+  const cached = 'caches' in window ? await caches.match(url) : null;
+  const response = cached || await fetch(url);
+  if (!response.ok) throw new Error(`HTTP ${response.status} en ${url}`);
+  return read ? response.json() : null;
+}
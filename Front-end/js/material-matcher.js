@@ -0,0 +1,120 @@
+/**
+ * Búsqueda difusa de materiales del catálogo
+ * Tolera tildes, mayúsculas, errores de dictado y los sinónimos del catálogo
+ * (español e inglés). La usan la consulta por voz y el buscador del escáner.
+ */
+
+const MIN_SIMILARITY = 0.75; // 0..1; por debajo no se considera coincidencia
+const SHORT_TERM = 5;        // términos más cortos solo cuentan si aparecen tal cual
+
+/**
+ * Pasa a minúsculas, quita tildes, signos y espacios repetidos
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Distancia de edición entre dos textos
+ */
+export function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+export default class MaterialMatcher {
+  /**
+   * @param {string[]} materials - Nombres del catálogo
+   * @param {object} synonyms - { material: [sinónimos] }
+   */
+  constructor(materials, synonyms = {}) {
+    this.terms = [];
+    materials.forEach((material) => {
+      [material, ...(synonyms[material] || [])].forEach((term) => {
+        const normalized = normalize(term);
+        if (normalized) this.terms.push({ material, term: normalized, words: normalized.split(' ') });
+      });
+    });
+  }
+
+  /**
+   * Mejor material para una frase libre ("tengo una lata de cerveza")
+   * @param {string|string[]} phrases - Una frase o varias alternativas del reconocedor
+   * @returns {{material: string, score: number, term: string}|null}
+   */
+  match(phrases) {
+    const [best] = this.search(phrases, 1);
+    return best || null;
+  }
+
+  /**
+   * Materiales ordenados por parecido, uno por material
+   * @param {string|string[]} phrases
+   * @param {number} limit
+   * @returns {Array<{material: string, score: number, term: string}>}
+   */
+  search(phrases, limit = 5) {
+    const inputs = (Array.isArray(phrases) ? phrases : [phrases]).map(normalize).filter(Boolean);
+    const byMaterial = new Map();
+
+    inputs.forEach((input) => {
+      const words = input.split(' ');
+      this.terms.forEach((entry) => {
+        const score = scoreTerm(input, words, entry);
+        const current = byMaterial.get(entry.material);
+        // A igual puntaje gana el término más largo ("botella de vidrio" sobre "vidrio")
+        if (score >= MIN_SIMILARITY && (!current || score > current.score
+          || (score === current.score && entry.term.length > current.term.length))) {
+          byMaterial.set(entry.material, { material: entry.material, score, term: entry.term });
+        }
+      });
+    });
+
+    return [...byMaterial.values()]
+      .sort((a, b) => b.score - a.score || b.term.length - a.term.length)
+      .slice(0, limit);
+  }
+}
+
+// --- Helpers ---
+// 1 si el término aparece completo; si no, el mejor parecido contra cada
+// ventana de palabras de la frase (o contra el inicio, mientras se escribe)
+function scoreTerm(input, words, entry) {
+  if (` ${input} `.includes(` ${entry.term} `)) return 1;
+
+  let best = similarity(input, entry.term.slice(0, Math.max(input.length, 3))) * 0.95;
+  // En palabras cortas un solo error ya cambia el sentido ("hola" no es "hoja")
+  if (entry.term.length < SHORT_TERM) return best;
+
+  const size = entry.words.length;
+  for (let i = 0; i + size <= words.length; i++) {
+    const window = words.slice(i, i + size).join(' ');
+    best = Math.max(best, similarity(window, entry.term));
+  }
+  return best;
+}
+
+function similarity(a, b) {
+  const length = Math.max(a.length, b.length);
+  return length ? 1 - levenshtein(a, b) / length : 0;
+}
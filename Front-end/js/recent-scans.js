@@ -0,0 +1,54 @@
+/**
+ * Escaneos recientes de la cuenta, por hash perceptual
+ * Si la foto se parece a una ya enviada dentro de la ventana, se muestra el
+ * resultado guardado sin volver a subirla. Es solo un primer filtro: el backend
+ * repite la verificación y es el único que decide si se acreditan puntos.
+ */
+
+import { hammingDistance, hexToHash } from './image-hash.js';
+
+const KEY_PREFIX = 'ecoRecentScans:';
+const MAX_ENTRIES = 50;
+
+export default class RecentScans {
+  /**
+   * @param {string} email - Cuenta dueña de la lista
+   * @param {object} options
+   * @param {number} options.windowMinutes - Minutos en los que una foto parecida cuenta como repetida
+   * @param {number} options.threshold - Bits de diferencia (de 64) hasta los que dos fotos son "la misma"
+   */
+  constructor(email, { windowMinutes = 30, threshold = 6 } = {}) {
+    this.key = `${KEY_PREFIX}${email}`;
+    this.windowMs = windowMinutes * 60 * 1000;
+    this.threshold = threshold;
+  }
+
+  /**
+   * @param {Uint8Array} hash
+   * @returns {{hash: string, item: string, at: number}|null} - El escaneo parecido más reciente
+   */
+  find(hash) {
+    return this.entries().find((entry) => hammingDistance(hash, hexToHash(entry.hash)) <= this.threshold) || null;
+  }
+
+  /**
+   * @param {string} hashHex
+   * @param {string} item - Material que devolvió el clasificador
+   */
+  add(hashHex, item) {
+    const entries = [{ hash: hashHex, item, at: Date.now() }, ...this.entries()].slice(0, MAX_ENTRIES);
+    localStorage.setItem(this.key, JSON.stringify(entries));
+  }
+
+  // Del más nuevo al más viejo, sin los que ya salieron de la ventana
+  entries() {
+    let entries;
+    try {
+      entries = JSON.parse(localStorage.getItem(this.key)) || [];
+    } catch {
+      entries = [];
+    }
+    const since = Date.now() - this.windowMs;
+    return entries.filter((entry) => entry && entry.at >= since && typeof entry.hash === 'string');
+  }
+}
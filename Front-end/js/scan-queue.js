@@ -0,0 +1,156 @@
+/**
+ * Cola de escaneos pendientes en IndexedDB
+ * Guarda la foto y la hora de captura cuando no se pudo enviar a /classify
+ *
+ * Con Background Sync el service worker (sw.js) la envía aunque la app esté cerrada,
+ * con la URL de la API y el token que se guardan en el store "sync". Lo que él envía
+ * queda en la cola con su `result` hasta que la app lo muestra y lo quita.
+ */
+
+const DB_NAME = 'ecorecycle';
+const DB_VERSION = 2;
+const STORE = 'pendingScans';
+const SYNC_STORE = 'sync';
+const CREDENTIALS_KEY = 'credentials';
+
+// Los mismos nombres usa sw.js
+const SYNC_TAG = 'scan-queue';
+const LOCK_NAME = 'eco-scan-queue';
+
+// Convierte una IDBRequest en promesa
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+export default class ScanQueue {
+  constructor() {
+    this.dbPromise = null;
+    this.listeners = new Set();
+  }
+
+  /**
+   * True si el navegador tiene IndexedDB
+   */
+  static get isSupported() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(STORE)) {
+            const store = db.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+            store.createIndex('email', 'email');
+          }
+          if (!db.objectStoreNames.contains(SYNC_STORE)) db.createObjectStore(SYNC_STORE);
+        };
+        request.onsuccess = () => {
+          const db = request.result;
+          // Otra pestaña con una versión más nueva necesita actualizar la base
+          db.onversionchange = () => {
+            db.close();
+            this.dbPromise = null;
+          };
+          resolve(db);
+        };
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.dbPromise;
+  }
+
+  async store(mode, name = STORE) {
+    const db = await this.open();
+    return db.transaction(name, mode).objectStore(name);
+  }
+
+  /**
+   * Encola un escaneo
+   * @param {object} scan
+   * @param {string} scan.email - Dueño del escaneo (no se acredita a otra cuenta)
+   * @param {Blob} scan.blob - Imagen capturada
+   * @param {string} scan.filename - Nombre con el que se sube
+   * @param {number} scan.capturedAt - Epoch ms de la captura
+   * @param {object} scan.estimate - Lo que dijo el modelo del dispositivo ({ item, confidence }), si lo hubo
+   * @param {string} scan.hash - dHash en hex de la foto, para el filtro de escaneos repetidos
+   * @returns {Promise<number>} - id asignado
+   */
+  async add({ email, blob, filename = 'capture.jpg', capturedAt = Date.now(), estimate = null, hash = null }) {
+    const store = await this.store('readwrite');
+    const id = await promisify(store.add({ email, blob, filename, capturedAt, estimate, hash }));
+    this.emitChange();
+    return id;
+  }
+
+  /**
+   * Escaneos pendientes de un usuario, del más antiguo al más nuevo
+   */
+  async list(email) {
+    const store = await this.store('readonly');
+    const scans = await promisify(store.index('email').getAll(email));
+    return scans.sort((a, b) => a.capturedAt - b.capturedAt);
+  }
+
+  async count(email) {
+    const store = await this.store('readonly');
+    return promisify(store.index('email').count(email));
+  }
+
+  async remove(id) {
+    const store = await this.store('readwrite');
+    await promisify(store.delete(id));
+    this.emitChange();
+  }
+
+  /**
+   * Corre callback sin que el service worker envíe la cola al mismo tiempo
+   * @returns {Promise<*>} - Lo que devuelva callback
+   */
+  withLock(callback) {
+    return navigator.locks ? navigator.locks.request(LOCK_NAME, callback) : callback();
+  }
+
+  /**
+   * Deja al service worker lo que necesita para enviar la cola y le pide un Background Sync
+   * @param {object} credentials
+   * @param {string} credentials.email - Solo se envían los escaneos de esta cuenta
+   * @param {string} credentials.apiBaseUrl - Absoluta
+   * @param {string} credentials.token - Token de acceso; si vence antes del sync, la cola espera a la app
+   * @returns {Promise<boolean>} - False si el navegador no tiene Background Sync
+   */
+  async requestSync(credentials) {
+    const store = await this.store('readwrite', SYNC_STORE);
+    await promisify(store.put(credentials, CREDENTIALS_KEY));
+
+    const registration = 'serviceWorker' in navigator ? await navigator.serviceWorker.getRegistration() : null;
+    if (!registration || !registration.sync) return false;
+    await registration.sync.register(SYNC_TAG);
+    return true;
+  }
+
+  /**
+   * Al cerrar sesión: el service worker ya no envía nada
+   */
+  async clearSyncCredentials() {
+    const store = await this.store('readwrite', SYNC_STORE);
+    await promisify(store.delete(CREDENTIALS_KEY));
+  }
+
+  /**
+   * @param {Function} callback - Se llama cada vez que la cola cambia
+   */
+  onChange(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  emitChange() {
+    this.listeners.forEach((callback) => callback());
+  }
+}
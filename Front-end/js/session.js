@@ -0,0 +1,114 @@
+/**
+ * Sesión del usuario (tokens de acceso y refresco)
+ * Compartida por el login y la app principal a través de localStorage
+ */
+
+const STORAGE_KEY = 'ecoSession';
+const LEGACY_EMAIL_KEY = 'userEmail'; // guard antiguo, solo guardaba el correo
+const CHANNEL_NAME = 'eco-session';
+
+// Avisa a las demás pestañas; sin BroadcastChannel queda el evento 'storage'
+const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(CHANNEL_NAME) : null;
+
+// Relativo a este módulo, así sirve desde / y desde /login/html/
+export const LOGIN_URL = new URL('../login/html/index.html', import.meta.url).href;
+
+function read() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || null;
+  } catch {
+    return null;
+  }
+}
+
+function write(data) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+}
+
+const Session = {
+  /**
+   * Inicia sesión con la respuesta de /login
+   * @param {object} data
+   * @param {string} data.email - Correo del usuario
+   * @param {string} data.accessToken - Token para el header Authorization
+   * @param {string} data.refreshToken - Token para renovar el de acceso
+   */
+  start({ email, accessToken, refreshToken }) {
+    localStorage.removeItem(LEGACY_EMAIL_KEY);
+    write({ email, accessToken, refreshToken, startedAt: Date.now() });
+  },
+
+  /**
+   * Reemplaza los tokens tras un /refresh
+   */
+  setTokens(accessToken, refreshToken) {
+    const current = read();
+    if (!current) return;
+    write({ ...current, accessToken, refreshToken: refreshToken || current.refreshToken });
+  },
+
+  clear() {
+    localStorage.removeItem(STORAGE_KEY);
+    localStorage.removeItem(LEGACY_EMAIL_KEY);
+  },
+
+  /**
+   * Borra la sesión y avisa a las otras pestañas abiertas
+   * @param {string} reason - 'logout' | 'expired' | 'idle'
+   */
+  signOut(reason = 'logout') {
+    // El mensaje sale antes del borrado para que llegue con su motivo
+    if (channel) channel.postMessage({ type: 'signout', reason });
+    this.clear();
+  },
+
+  /**
+   * Cierra la sesión porque ya no se puede renovar y vuelve al login
+   */
+  expire() {
+    this.signOut('expired');
+    window.location.href = `${LOGIN_URL}?expired=1`;
+  },
+
+  /**
+   * Escucha cierres de sesión hechos en otra pestaña
+   * @param {Function} callback - Recibe el motivo ('logout', 'expired', 'idle')
+   */
+  onSignOut(callback) {
+    let handled = false;
+    const notify = (reason) => {
+      if (handled) return;
+      handled = true;
+      callback(reason);
+    };
+
+    if (channel) {
+      channel.addEventListener('message', (e) => {
+        if (e.data?.type === 'signout') notify(e.data.reason);
+      });
+    }
+    window.addEventListener('storage', (e) => {
+      if (e.key === STORAGE_KEY && !e.newValue) notify('logout');
+      if (e.key === null) notify('logout'); // localStorage.clear() en otra pestaña
+    });
+  },
+
+  get email() {
+    return read()?.email || null;
+  },
+
+  get accessToken() {
+    return read()?.accessToken || null;
+  },
+
+  get refreshToken() {
+    return read()?.refreshToken || null;
+  },
+
+  get isActive() {
+    const current = read();
+    return Boolean(current && current.email && current.accessToken);
+  }
+};
+
+export default Session;
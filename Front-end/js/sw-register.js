@@ -0,0 +1,18 @@
+/**
+ * Registro del service worker (sw.js en la raíz de Front-end)
+ * Lo usan la app principal y el login para que ambos queden en caché
+ */
+
+const SW_URL = new URL('../sw.js', import.meta.url);
+const SW_SCOPE = new URL('../', import.meta.url);
+
+export function registerServiceWorker() {
+  if (!('serviceWorker' in navigator)) return;
+
+  // Después de 'load' para no competir con la carga inicial de la página
+  const register = () => navigator.serviceWorker.register(SW_URL, { scope: SW_SCOPE.pathname })
+    .catch((error) => console.error('No pude registrar el service worker:', error));
+
+  if (document.readyState === 'complete') register();
+  else window.addEventListener('load', register, { once: true });
+}
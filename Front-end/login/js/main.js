@@ -9,10 +9,10 @@ const notificationManager = window.notificationManager;
 class EcoRecycleApp {
     constructor() {
         this.validator = new FormValidator();
-        this.currentUser = null;
         this.appState = {
             currentView: 'login',
             isLoading: false,
+            resetEmail: null,
             formData: {
                 login: { email: '', password: '' },
                 register: { name: '', email: '', password: '', confirmPassword: '' }
@@ -40,7 +40,7 @@ class EcoRecycleApp {
      * Configura el manejador de vistas
      */
     setupViewManager() {
-        const views = ['loginView', 'registerView', 'successView'];
+        const views = ['loginView', 'registerView', 'successView', 'forgotView', 'resetView', 'resetSuccessView'];
         views.forEach(viewId => {
             const element = document.getElementById(viewId);
             if (element) {
@@ -56,45 +56,13 @@ class EcoRecycleApp {
      * Configura todos los event listeners
      */
     setupEventListeners() {
-        this.setupFormSubmissions();
         this.setupViewSwitching();
+        this.setupPasswordReset();
+        this.setupEmailAvailabilityCheck();
         this.setupRealTimeValidation();
         this.setupKeyboardNavigation();
     }
 
-    /**
-     * Configura los envíos de formularios
-     */
-    setupFormSubmissions() {
-        // Evitamos listeners duplicados: usamos los handlers al final del archivo
-        return;
-        // Formulario de login
-        const loginForm = document.getElementById('loginForm');
-        if (loginForm) {
-            loginForm.addEventListener('submit', (e) => {
-                e.preventDefault();
-                this.handleLogin();
-            });
-        }
-
-        // Formulario de registro
-        const registerForm = document.getElementById('registerForm');
-        if (registerForm) {
-            registerForm.addEventListener('submit', (e) => {
-                e.preventDefault();
-                this.handleRegister();
-            });
-        }
-
-        // Botón de comenzar a reciclar
-        const startButton = document.getElementById('startRecycling');
-        if (startButton) {
-            startButton.addEventListener('click', () => {
-                this.handleStartRecycling();
-            });
-        }
-    }
-
     /**
      * Configura el cambio entre vistas
      */
@@ -116,6 +84,110 @@ class EcoRecycleApp {
         }
     }
 
+    /**
+     * Configura el flujo de recuperación de contraseña
+     */
+    setupPasswordReset() {
+        const forgotButton = document.getElementById('forgotPasswordBtn');
+        if (forgotButton) {
+            forgotButton.addEventListener('click', () => {
+                // Reutilizar el correo que ya se escribió en el login
+                const loginEmail = document.getElementById('loginEmail');
+                const forgotEmail = document.getElementById('forgotEmail');
+                if (loginEmail && forgotEmail && loginEmail.value.trim()) {
+                    forgotEmail.value = loginEmail.value.trim();
+                }
+                this.switchToView('forgot');
+            });
+        }
+
+        document.querySelectorAll('.back-to-login').forEach(button => {
+            button.addEventListener('click', () => this.switchToView('login'));
+        });
+
+        const forgotForm = document.getElementById('forgotForm');
+        if (forgotForm) {
+            forgotForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.handleForgotPassword();
+            });
+        }
+
+        const resetForm = document.getElementById('resetForm');
+        if (resetForm) {
+            resetForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.handleResetPassword();
+            });
+        }
+
+        const resendButton = document.getElementById('resendCodeBtn');
+        if (resendButton) {
+            resendButton.addEventListener('click', () => this.handleForgotPassword({ resend: true }));
+        }
+
+        const resetPassword = document.getElementById('resetPassword');
+        if (resetPassword) {
+            resetPassword.addEventListener('input', () => this.updatePasswordStrength(resetPassword.value));
+        }
+    }
+
+    /**
+     * Verifica si el correo del registro está libre mientras se escribe
+     */
+    setupEmailAvailabilityCheck() {
+        const input = document.getElementById('registerEmail');
+        if (!input) return;
+
+        let controller = null;
+
+        const check = ValidationUtils.debounce(async (email) => {
+            if (!this.validator.isValidEmail(email)) {
+                this.setEmailStatus(null);
+                return;
+            }
+
+            controller = new AbortController();
+            const { signal } = controller;
+            this.setEmailStatus('checking');
+
+            try {
+                const available = await this.validator.isEmailAvailable(email, { signal });
+                if (!signal.aborted) this.setEmailStatus(available ? 'available' : 'taken');
+            } catch (error) {
+                // Cancelada por otra tecla o sin conexión: el servidor valida al registrar
+                if (!signal.aborted) this.setEmailStatus(null);
+            }
+        }, ValidationConfig.debounceTime);
+
+        input.addEventListener('input', () => {
+            // Cada tecla cancela la consulta anterior
+            if (controller) controller.abort();
+            controller = null;
+            this.setEmailStatus(null);
+            check(input.value.trim());
+        });
+    }
+
+    /**
+     * Muestra el estado de disponibilidad bajo el correo del registro
+     * @param {string|null} state - 'checking' | 'available' | 'taken' | null
+     */
+    setEmailStatus(state) {
+        const status = document.getElementById('registerEmailStatus');
+        if (!status) return;
+
+        const labels = {
+            checking: 'Verificando…',
+            available: '✓ Correo disponible',
+            taken: `✗ ${ValidationMessages.es.emailTaken}`
+        };
+
+        status.classList.remove('checking', 'available', 'taken');
+        status.textContent = state ? labels[state] : '';
+        if (state) status.classList.add(state);
+    }
+
     /**
      * Configura validación en tiempo real
      */
@@ -171,6 +243,8 @@ class EcoRecycleApp {
         new PasswordToggle('loginPassword', 'loginPasswordToggle');
         new PasswordToggle('registerPassword', 'registerPasswordToggle');
         new PasswordToggle('registerConfirmPassword', 'registerConfirmPasswordToggle');
+        new PasswordToggle('resetPassword', 'resetPasswordToggle');
+        new PasswordToggle('resetConfirmPassword', 'resetConfirmPasswordToggle');
     }
 
     /**
@@ -212,119 +286,117 @@ class EcoRecycleApp {
     }
 
     /**
-     * Maneja el login
+     * Pide el código de recuperación
+     * @param {object} options - resend: reenvía al correo ya usado sin cambiar de vista
      */
-    async handleLogin() {
+    async handleForgotPassword({ resend = false } = {}) {
         if (this.appState.isLoading) return;
 
-        const formData = this.getLoginFormData();
-        const errors = this.validator.validateLogin(formData);
-
-        if (!ValidationUtils.isEmpty(errors)) {
-            this.validator.showFormErrors(errors);
-            if (ecoCharacter) {
-                ecoCharacter.showError();
-            }
+        const email = resend
+            ? this.appState.resetEmail
+            : (document.getElementById('forgotEmail')?.value.trim() ?? '');
+        const error = this.validator.validateField('email', email);
+        if (error) {
+            this.validator.showFieldError('forgotEmail', error);
             return;
         }
 
-        this.setLoadingState(true, 'loginForm');
-        
+        this.setLoadingState(true, resend ? null : 'forgotForm');
+
         try {
-            // Simular llamada a API
-            await this.simulateApiCall();
-            
-            this.currentUser = {
-                email: formData.email,
-                loginTime: new Date().toISOString()
-            };
+            await loadConfig();
+            await Api.requestPasswordReset(email);
+            this.appState.resetEmail = email;
 
-            this.handleAuthSuccess('login');
+            const intro = document.getElementById('resetIntro');
+            if (intro) intro.textContent = `Escribe el código que enviamos a ${email} y tu nueva contraseña`;
+
+            if (window.notificationManager) window.notificationManager.show('Te enviamos un código de recuperación 📬', 'success');
+            if (!resend) this.switchToView('reset');
         } catch (error) {
             this.handleAuthError(error);
         } finally {
-            this.setLoadingState(false, 'loginForm');
+            this.setLoadingState(false, resend ? null : 'forgotForm');
         }
     }
 
     /**
-     * Maneja el registro
+     * Cambia la contraseña con el código recibido
      */
-    async handleRegister() {
+    async handleResetPassword() {
         if (this.appState.isLoading) return;
 
-        const formData = this.getRegisterFormData();
-        const errors = this.validator.validateRegister(formData);
+        const code = document.getElementById('resetCode')?.value.trim() ?? '';
+        const password = document.getElementById('resetPassword')?.value ?? '';
+        const confirm = document.getElementById('resetConfirmPassword')?.value ?? '';
+        const errors = {};
+
+        if (!/^\d{6}$/.test(code)) {
+            errors.resetCode = 'El código tiene 6 dígitos';
+        }
+
+        const strength = this.validator.validatePasswordStrength(password);
+        if (!password) {
+            errors.resetPassword = this.validator.rules.password.required;
+        } else if (!strength.isStrong) {
+            errors.resetPassword = `${ValidationMessages.es.passwordWeak}: ${strength.feedback.join(', ').toLowerCase()}`;
+        }
 
-        // Verificar términos y condiciones
-        const termsCheckbox = document.getElementById('termsCheckbox');
-        if (!termsCheckbox?.checked) {
-            errors.terms = 'Debes aceptar los términos y condiciones';
-            if (window.notificationManager) window.notificationManager.show('Debes aceptar los términos y condiciones', 'warning');
+        if (confirm !== password) {
+            errors.resetConfirmPassword = this.validator.rules.confirmPassword.matchMessage;
         }
 
         if (!ValidationUtils.isEmpty(errors)) {
             this.validator.showFormErrors(errors);
-            if (ecoCharacter) {
-                ecoCharacter.showError();
-            }
             return;
         }
 
-        this.setLoadingState(true, 'registerForm');
+        this.setLoadingState(true, 'resetForm');
 
         try {
-            // Verificar si el email está disponible
-            const emailAvailable = await this.validator.isEmailAvailable(formData.email);
-            if (!emailAvailable) {
-                this.validator.showFieldError('registerEmail', 'Este correo ya está registrado');
-                return;
-            }
+            await loadConfig();
+            await Api.resetPassword(this.appState.resetEmail, code, password);
 
-            // Simular registro
-            await this.simulateApiCall();
-            
-            this.currentUser = {
-                name: formData.name,
-                email: formData.email,
-                registrationTime: new Date().toISOString()
-            };
+            document.getElementById('resetForm')?.reset();
+            this.updatePasswordStrength('');
+
+            // Dejar el correo listo en el login
+            const loginEmail = document.getElementById('loginEmail');
+            if (loginEmail) loginEmail.value = this.appState.resetEmail;
+            this.appState.resetEmail = null;
 
-            this.handleAuthSuccess('register');
+            this.switchToView('resetSuccess');
         } catch (error) {
             this.handleAuthError(error);
         } finally {
-            this.setLoadingState(false, 'registerForm');
+            this.setLoadingState(false, 'resetForm');
         }
     }
 
     /**
-     * Maneja éxito en autenticación
+     * Muestra la fortaleza de la nueva contraseña mientras se escribe
+     * @param {string} password - Contraseña actual del campo
      */
-    handleAuthSuccess(type) {
-        // Limpiar formularios
-        inputManager.clearAll();
-        this.validator.clearAllErrors();
+    updatePasswordStrength(password) {
+        const indicator = document.getElementById('resetPasswordStrength');
+        if (!indicator) return;
 
-        // Actualizar UI de éxito
-        this.updateSuccessView(type);
-
-        // Celebrar con la mascota
-        if (ecoCharacter) {
-            ecoCharacter.celebrate();
+        indicator.classList.remove('weak', 'medium', 'strong');
+        if (!password) {
+            indicator.textContent = '';
+            return;
         }
 
-        // Mostrar vista de éxito
-        setTimeout(() => {
-            viewManager.showView('successView');
-            this.appState.currentView = 'success';
-        }, 500);
+        const { score } = this.validator.validatePasswordStrength(password);
+        const level = score >= 5 ? 'strong' : score >= 3 ? 'medium' : 'weak';
+        const labels = {
+            weak: ValidationMessages.es.passwordWeak,
+            medium: ValidationMessages.es.passwordMedium,
+            strong: ValidationMessages.es.passwordStrong
+        };
 
-        // Notificación de éxito
-        const message = type === 'login' 
-            ? '¡Bienvenido de vuelta! 🎉' 
-            : '¡Cuenta creada exitosamente! 🌟';
-        if (window.notificationManager) window.notificationManager.show(message, 'success', 10000);
+        indicator.textContent = labels[level];
+        indicator.classList.add(level);
     }
 
     /**
@@ -341,34 +413,24 @@ class EcoRecycleApp {
         }
     }
 
-    /**
-     * Actualiza la vista de éxito
-     */
-    updateSuccessView(type) {
-        const title = document.getElementById('successTitle');
-        const message = document.getElementById('successMessage');
-
-        if (type === 'register') {
-            if (title) title.textContent = '¡Cuenta creada!';
-            if (message) message.textContent = 'Tu cuenta ha sido creada exitosamente. ¡Ya puedes empezar a reciclar!';
-        } else {
-            if (title) title.textContent = '¡Bienvenido!';
-            if (message) message.textContent = 'Has iniciado sesión correctamente. ¡Vamos a reciclar!';
-        }
-    }
-
     /**
      * Cambia entre vistas
      */
     switchToView(viewType) {
         this.validator.clearAllErrors();
         
-        const targetView = viewType === 'register' ? 'registerView' : 'loginView';
-        viewManager.showView(targetView);
+        const views = {
+            login: 'loginView',
+            register: 'registerView',
+            forgot: 'forgotView',
+            reset: 'resetView',
+            resetSuccess: 'resetSuccessView'
+        };
+        viewManager.showView(views[viewType] || 'loginView');
         this.appState.currentView = viewType;
 
-        // Actualizar mascota
-        if (ecoCharacter) {
+        // Actualizar mascota (solo vive en las vistas de login y registro)
+        if (ecoCharacter && (viewType === 'login' || viewType === 'register')) {
             const message = viewType === 'register' 
                 ? '¡Únete a nuestra comunidad! 🌍 Cada acción cuenta'
                 : '¡Hola de nuevo! 🌱 ¿Listo para continuar?';
@@ -378,28 +440,6 @@ class EcoRecycleApp {
         }
     }
 
-    /**
-     * Obtiene datos del formulario de login
-     */
-    getLoginFormData() {
-        return {
-            email: inputManager.getValue('loginEmail'),
-            password: inputManager.getValue('loginPassword')
-        };
-    }
-
-    /**
-     * Obtiene datos del formulario de registro
-     */
-    getRegisterFormData() {
-        return {
-            name: inputManager.getValue('registerName'),
-            email: inputManager.getValue('registerEmail'),
-            password: inputManager.getValue('registerPassword'),
-            confirmPassword: inputManager.getValue('registerConfirmPassword')
-        };
-    }
-
     /**
      * Establece estado de carga
      */
@@ -418,42 +458,6 @@ class EcoRecycleApp {
         }
     }
 
-    /**
-     * Simula llamada a API
-     */
-    simulateApiCall() {
-        return new Promise((resolve, reject) => {
-            // Simular tiempo de respuesta real
-            const delay = Math.random() * 1000 + 1000; // 1-2 segundos
-            
-            setTimeout(() => {
-                // Simular ocasionales errores de red
-                if (Math.random() < 0.1) { // 10% de probabilidad de error
-                    reject(new Error('Error de conexión. Intenta nuevamente.'));
-                } else {
-                    resolve({ success: true });
-                }
-            }, delay);
-        });
-    }
-
-    /**
-     * Maneja el inicio de reciclaje
-     */
-    handleStartRecycling() {
-        // En una aplicación real, esto navegaría a la app principal
-        if (window.notificationManager) window.notificationManager.show('¡Redirigiendo a la aplicación principal! 🚀', 'success', 10000);
-        
-        // Simular carga
-        loadingManager.showGlobalLoading();
-        
-        setTimeout(() => {
-            loadingManager.hideGlobalLoading();
-            // Aquí iría la navegación real
-            window.location.reload(); // Por ahora, recargar para demostración
-        }, 2000);
-    }
-
     /**
      * Muestra advertencia de compatibilidad de navegador
      */
@@ -495,12 +499,12 @@ class EcoRecycleApp {
         this.appState = {
             currentView: 'login',
             isLoading: false,
+            resetEmail: null,
             formData: {
                 login: { email: '', password: '' },
                 register: { name: '', email: '', password: '', confirmPassword: '' }
             }
         };
-        this.currentUser = null;
         viewManager.showView('loginView', { addToHistory: false });
         
         if (ecoCharacter) {
@@ -608,98 +612,50 @@ if (typeof module !== 'undefined' && module.exports) {
 
 // Archivo: main.js
 
-import Api from "./api.js";
-
-// -------------------------
-// REGISTRO DE USUARIO
-// -------------------------
-// Deshabilitado para evitar duplicados (usaremos el handler de más abajo)
-document.getElementById("__DISABLED_registerForm")?.addEventListener("submit", async (e) => {
-  e.preventDefault();
-
-    const nombre = document.getElementById("registerName").value;
-    const correo = document.getElementById("registerEmail").value;
-    const password = document.getElementById("registerPassword").value;
-    const confirm  = document.getElementById("registerConfirmPassword").value;
+import Api, { ApiError } from "../../js/api.js";
+import { loadConfig } from "../../js/config.js";
+import Session from "../../js/session.js";
+import { registerServiceWorker } from "../../js/sw-register.js";
 
-      if (password !== confirm) {
-    if (window.notificationManager) window.notificationManager.show("Las contraseñas no coinciden", 'error', 10000);
-    return;
-  }
+// Backend y timeouts según el entorno (config.json)
+loadConfig();
+registerServiceWorker();
 
- try {
-    const res = await Api.register(nombre, correo, password);
-    if (res.error) return (window.notificationManager && window.notificationManager.show("❌ " + res.error, 'error', 10000));
-    if (window.notificationManager) window.notificationManager.show(res.mensaje || "Registrado con éxito", 'success', 10000);
-    document.getElementById("switchToLogin")?.click(); // vuelve a la vista login
-  } catch (err) {
-    if (window.notificationManager) window.notificationManager.show("Error al registrar: " + err.message, 'error', 10000);
-  }
+// FormValidator (validation.js) consulta la disponibilidad de correos con la API
+FormValidator.setEmailLookup(async (correo, options) => {
+  await loadConfig();
+  const res = await Api.checkEmail(correo, options);
+  return Boolean(res?.disponible);
 });
 
-// -------------------------
-// LOGIN
-// -------------------------
-// Deshabilitado para evitar duplicados (usaremos el handler de más abajo)
-document.getElementById("__DISABLED_loginForm")?.addEventListener("submit", async (e) => {
-  e.preventDefault();
-
-  const correo = document.getElementById("loginEmail").value;
-  const password = document.getElementById("loginPassword").value;
-
-  try {
-    const res = await Api.login(correo, password);
-    if (res.error) {
-      if (window.notificationManager) window.notificationManager.show(res.error, 'error', 10000);
-    } else {
-      if (window.notificationManager) window.notificationManager.show(res.mensaje || 'Operación realizada', 'success', 10000);
-    }
-
-    // Guardar usuario en localStorage para usar luego y redirigir a la app principal
-    if (res.mensaje === "Login exitoso") {
-      localStorage.setItem("userEmail", correo);
-      if (window.notificationManager) window.notificationManager.show(res.mensaje || 'Login exitoso', 'success', 10000);
-      setTimeout(() => { goToApp(); }, 800);
-    }
-  } catch (err) {
-    if (window.notificationManager) window.notificationManager.show("Error en login: " + err.message, 'error', 10000);
-  }
-});
+// Aviso cuando la app nos devolvió aquí porque la sesión no se pudo renovar
+if (new URLSearchParams(window.location.search).get("expired")) {
+  window.notificationManager?.show("Tu sesión expiró. Inicia sesión de nuevo.", 'warning', 10000);
+}
 
 // -------------------------
-// VER HISTORIAL
+// SESIÓN
 // -------------------------
-document.getElementById("btnHistorial")?.addEventListener("click", async () => {
-  const correo = localStorage.getItem("userEmail");
-  if (!correo) {
-    if (window.notificationManager) window.notificationManager.show("Debes iniciar sesión primero.", 'warning');
-    return;
+// Guarda los tokens que devuelve /login; el correo, como lo guarda el backend (las rutas
+// por cuenta lo comparan con el dueño del token)
+function startSession(correo, res) {
+  if (!res?.access_token) {
+    throw new ApiError("El servidor no devolvió un token de sesión", { code: "rejected", data: res, endpoint: "/login" });
   }
+  Session.start({ email: correo.trim().toLowerCase(), accessToken: res.access_token, refreshToken: res.refresh_token });
+}
 
-  try {
-    const historial = await Api.historial(correo);
-
-    const container = document.getElementById("historialContainer");
-    container.innerHTML = "";
-
-    if (historial.length === 0) {
-      container.innerHTML = "<p>No hay historial disponible</p>";
-    } else {
-      historial.forEach((item) => {
-        const div = document.createElement("div");
-        div.className = "historial-item";
-        div.innerHTML = `
-          <p><strong>Acción:</strong> ${item.accion}</p>
-          <p><strong>Detalle:</strong> ${item.detalle}</p>
-          <p><strong>Fecha:</strong> ${item.fecha}</p>
-        `;
-        container.appendChild(div);
-      });
-    }
-  } catch (err) {
-    if (window.notificationManager) window.notificationManager.show("Error al cargar historial: " + err.message, 'error', 10000);
-  }
-});
+async function signIn(correo, password) {
+  const res = await Api.login(correo, password);
+  startSession(correo, res);
+  return res;
+}
+
+// Si /register no devuelve tokens, hacemos login con las mismas credenciales
+async function startSessionAfterRegister(correo, password, res) {
+  if (res?.access_token) startSession(correo, res);
+  else await signIn(correo, password);
+}
 
 // helper para redirigir de forma segura desde /login/html/ → /index.html
 const goToApp = () => {
@@ -717,18 +673,22 @@ document.getElementById("registerForm")?.addEventListener("submit", async (e) =>
 
   if (!nombre || !correo || !password) return (window.notificationManager && window.notificationManager.show("Completa todos los campos", 'warning'));
   if (password !== confirm)             return (window.notificationManager && window.notificationManager.show("Las contraseñas no coinciden", 'error', 10000));
+  if (new FormValidator().getCachedEmailAvailability(correo) === false) {
+    return (window.notificationManager && window.notificationManager.show(ValidationMessages.es.emailTaken, 'error', 10000));
+  }
 
   try {
+    await loadConfig();
     const res = await Api.register(nombre, correo, password);
-    if (res?.error) return (window.notificationManager && window.notificationManager.show("❌ " + res.error, 'error', 10000));
 
-    // “auto-login” simple para tu app: guarda el correo y redirige
-    localStorage.setItem("userEmail", correo);
+    // “auto-login”: abre la sesión y redirige
+    await startSessionAfterRegister(correo, password, res);
     if (window.notificationManager) window.notificationManager.show(res.mensaje || "Registrado con éxito", 'success', 10000);
     setTimeout(() => goToApp(), 800);
   } catch (err) {
     console.error(err);
-    if (window.notificationManager) window.notificationManager.show("No se pudo conectar con el servidor", 'error', 10000);
+    const msg = err.isNetworkError ? "No se pudo conectar con el servidor" : "❌ " + err.message;
+    if (window.notificationManager) window.notificationManager.show(msg, 'error', 10000);
   }
 });
 
@@ -741,14 +701,14 @@ document.getElementById("loginForm")?.addEventListener("submit", async (e) => {
   if (!correo || !password) return (window.notificationManager && window.notificationManager.show("Completa correo y contraseña", 'warning'));
 
   try {
-    const res = await Api.login(correo, password);
-    if (res?.error) return (window.notificationManager && window.notificationManager.show("❌ " + res.error, 'error', 10000));
+    await loadConfig();
+    const res = await signIn(correo, password);
 
-    localStorage.setItem("userEmail", correo);
     if (window.notificationManager) window.notificationManager.show(res.mensaje || "Login exitoso", 'success', 10000);
     setTimeout(() => goToApp(), 800);
   } catch (err) {
     console.error(err);
-    if (window.notificationManager) window.notificationManager.show("No se pudo conectar con el servidor", 'error', 10000);
+    const msg = err.isNetworkError ? "No se pudo conectar con el servidor" : "❌ " + err.message;
+    if (window.notificationManager) window.notificationManager.show(msg, 'error', 10000);
   }
 });
@@ -3,6 +3,10 @@
  * Maneja todas las validaciones de formularios
  */
 
+// Consulta de disponibilidad de correos (la define main.js con el cliente de la API)
+let emailLookup = null;
+const emailAvailabilityCache = new Map();
+
 class FormValidator {
     constructor() {
         this.errors = {};
@@ -183,24 +187,43 @@ class FormValidator {
     }
 
     /**
-     * Verifica si un email ya está en uso (simulado)
+     * Verifica en el backend si un email ya está en uso
+     * Las respuestas se guardan en caché para no repetir la consulta
      * @param {string} email - Email a verificar
+     * @param {object} options - signal para cancelar la consulta
      * @returns {Promise<boolean>} - True si está disponible
      */
-    async isEmailAvailable(email) {
-        // Simulación de verificación de email
-        return new Promise((resolve) => {
-            setTimeout(() => {
-                // Lista de emails "ya registrados" para testing
-                const existingEmails = [
-                    'admin@ecorecycle.com',
-                    'test@test.com',
-                    'user@example.com'
-                ];
-                
-                resolve(!existingEmails.includes(email.toLowerCase()));
-            }, 500);
-        });
+    async isEmailAvailable(email, { signal } = {}) {
+        const key = email.trim().toLowerCase();
+        if (emailAvailabilityCache.has(key)) {
+            return emailAvailabilityCache.get(key);
+        }
+
+        if (!emailLookup) {
+            throw new Error('No hay servicio configurado para verificar correos');
+        }
+
+        const available = await emailLookup(key, { signal });
+        emailAvailabilityCache.set(key, available);
+        return available;
+    }
+
+    /**
+     * Disponibilidad ya conocida de un email, sin consultar al backend
+     * @param {string} email - Email a verificar
+     * @returns {boolean|undefined} - undefined si nunca se consultó
+     */
+    getCachedEmailAvailability(email) {
+        return emailAvailabilityCache.get(email.trim().toLowerCase());
+    }
+
+    /**
+     * Define cómo consultar la disponibilidad de un email
+     * @param {Function} lookup - (email, { signal }) => Promise<boolean>
+     */
+    static setEmailLookup(lookup) {
+        emailLookup = lookup;
+        emailAvailabilityCache.clear();
     }
 
     /**
@@ -0,0 +1,788 @@
+/**
+ * Backend simulado de EcoRecycle para desarrollo local
+ *
+ * Uso:  node Front-end/mock/server.js        (escucha en :8000)
+ *       PORT=9000 node Front-end/mock/server.js
+ *
+ * El entorno "development" de config.json ya apunta a http://127.0.0.1:8000.
+ * Todo vive en memoria y se pierde al reiniciar. Usuarios de prueba:
+ *   demo@ecorecycle.co / Demo123!
+ *   admin@ecorecycle.co / Admin123!   (registra canecas en /admin/canecas)
+ *
+ * Canecas con QR: al arrancar se imprime el contenido del QR de cada una; se puede
+ * convertir en imagen con cualquier generador de QR. Para registrar otra:
+ *   curl -X POST http://127.0.0.1:8000/admin/canecas -H 'Authorization: Bearer <token admin>' \
+ *        -H 'Content-Type: application/json' -d '{"codigo":"CNC-0004","caneca":"verde","ubicacion":"Patio"}'
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const path = require('path');
+
+const PORT = Number(process.env.PORT) || 8000;
+const ACCESS_TTL = Number(process.env.ACCESS_TTL) || 15 * 60 * 1000; // ms
+const RESET_TTL = 15 * 60 * 1000;
+const DETECTION_TTL = 10 * 60 * 1000; // tiempo para confirmar una detección múltiple
+const DUPLICATE_WINDOW = 30 * 60 * 1000; // una foto parecida en este lapso no vuelve a sumar
+const DAILY_POINTS_CAP = 60;             // puntos máximos por escaneos al día
+const DEPOSIT_TTL = 30 * 60 * 1000;      // tiempo para botar el objeto y escanear la caneca
+const QR_SECRET = process.env.QR_SECRET || 'ecorecycle-dev'; // firma de los QR de las canecas
+const LONG_POLL_WAIT = 25 * 1000;        // /eventos/espera responde vacío pasado este tiempo
+const STREAM_TICKET_TTL = 60 * 1000;     // para abrir el stream SSE con el ticket de /eventos/ticket
+const SSE_HEARTBEAT = 20 * 1000;         // comentario periódico para que los proxies no corten el stream
+const EVENT_BACKLOG = 100;               // eventos por cuenta que se guardan para reconexiones
+const HISTORY_PAGE_MAX = 100;            // movimientos máximos por página de /historial
+
+// ---------------------- Datos ----------------------
+const users = new Map();          // correo -> { nombre, password, puntos, acumulados, perfil, rol }
+const history = new Map();        // correo -> ledger de puntos, del más nuevo al más viejo (ver addLedger)
+const accessTokens = new Map();   // token -> { correo, expires }
+const refreshTokens = new Map();  // token -> correo
+const resetCodes = new Map();     // correo -> { codigo, expires }
+const feedback = [];              // correcciones de clasificación { correo, bytes, fecha }
+const detections = new Map();     // id -> { correo, detections, duplicate, expires } (sin confirmar)
+const recentScans = new Map();    // correo -> [{ digest, at }] fotos acreditadas hace poco
+const dailyPoints = new Map();    // correo -> { day: 'YYYY-MM-DD', puntos }
+const pendingDeposits = new Map(); // scan_id -> { correo, item, points, origen, expires } (puntos sin depositar)
+const canecasFisicas = new Map(); // código -> { codigo, caneca, ubicacion, qr }
+const events = new Map();         // correo -> { lastId, backlog: [{ id, tipo, datos }] }
+const streamTickets = new Map();  // ticket -> { correo, expires, session } (un solo uso)
+const streams = new Map();        // correo -> Set de respuestas SSE abiertas
+const waiters = new Map();        // correo -> Set de funciones que responden un long-poll pendiente
+
+const premios = [
+  { id: 1, nombre: 'Bono café', puntos_necesarios: 50, stock: 10, partner: 'Café Verde' },
+  { id: 2, nombre: 'Entrada cine', puntos_necesarios: 150, stock: 5, partner: 'CineCo' },
+  { id: 3, nombre: 'Bolsa reutilizable', puntos_necesarios: 30, stock: 25, partner: '' }
+];
+
+// El mismo catálogo que trae la app; /classify elige sus resultados de aquí
+const catalogo = require(path.join(__dirname, '..', 'catalogo.json'));
+const materiales = catalogo.materiales.map((m) => {
+  const caneca = catalogo.canecas[m.caneca];
+  return {
+    item: m.nombre,
+    bin: `${caneca.nombre} (${caneca.descripcion})`,
+    instructions: m.instrucciones,
+    points: m.puntos
+  };
+});
+
+// Empaques por código de barras; los ids de material son los del catálogo
+const productos = new Map([
+  ['7702000000013', {
+    nombre: 'Agua sin gas 600 ml',
+    componentes: [
+      { parte: 'botella', material: 'botella-plastico' },
+      { parte: 'tapa', material: 'botella-plastico', instrucciones: 'Déjala enroscada a la botella vacía para que no se pierda.' },
+      { parte: 'etiqueta', material: 'residuo-no-reciclable', instrucciones: 'Si es metalizada, retírala y bótala en la caneca negra.' }
+    ]
+  }],
+  ['7702000000020', {
+    nombre: 'Gaseosa lata 330 ml',
+    componentes: [{ parte: 'lata', material: 'lata-aluminio' }]
+  }],
+  ['7702000000037', {
+    nombre: 'Jugo en caja 200 ml',
+    componentes: [
+      { parte: 'caja', material: 'carton', instrucciones: 'Las cajas de jugo tienen capas de aluminio: enjuágala y aplánala.' },
+      { parte: 'pitillo', material: 'residuo-no-reciclable' }
+    ]
+  }]
+]);
+
+addUser('Demo', 'demo@ecorecycle.co', 'Demo123!');
+seedLedger('demo@ecorecycle.co', 120, 150);
+addUser('Admin', 'admin@ecorecycle.co', 'Admin123!', 0, 'admin');
+
+registerBin('CNC-0001', 'blanca', 'Cafetería, primer piso');
+registerBin('CNC-0002', 'negra', 'Cafetería, primer piso');
+registerBin('CNC-0003', 'verde', 'Patio de comidas');
+
+// Las cuentas se guardan con el correo en minúsculas y sin espacios
+function normalizeEmail(correo) {
+  return String(correo || '').trim().toLowerCase();
+}
+
+function addUser(nombre, correo, password, puntos = 0, rol = 'usuario') {
+  users.set(correo, { nombre, password, puntos, acumulados: puntos, perfil: null, rol });
+  history.set(correo, []);
+  if (puntos) addLedger(correo, { tipo: 'ajuste', monto: puntos, origen: 'registro' });
+}
+
+/**
+ * Movimiento del ledger de puntos, ya aplicado al saldo del usuario
+ *   tipo: 'escaneo' | 'canje' | 'ajuste'
+ *   monto: con signo (negativo en los canjes)
+ *   origen: 'clasificacion' | 'deteccion' | 'canje' | 'registro'
+ */
+function addLedger(correo, { tipo, monto, material = null, premioId = null, origen, fecha = new Date() }) {
+  const ledger = history.get(correo);
+  ledger.unshift({
+    id: ledger.length + 1,
+    tipo,
+    monto,
+    material,
+    premio_id: premioId,
+    saldo: users.get(correo).puntos,
+    fecha: fecha.toISOString(),
+    origen
+  });
+  publish(correo, 'historial', ledger[0]);
+  publish(correo, 'puntos', { puntos: users.get(correo).puntos, puntos_acumulados: users.get(correo).acumulados });
+}
+
+// Saldo inicial y `count` movimientos de los últimos 90 días, para probar el historial paginado
+function seedLedger(correo, inicial, count) {
+  const user = users.get(correo);
+  const reciclables = materiales.filter((m) => m.points > 0);
+  const bolsa = premios.find((p) => p.nombre === 'Bolsa reutilizable');
+  const step = (90 * 24 * 60 * 60 * 1000) / (count + 1);
+  const start = Date.now() - 90 * 24 * 60 * 60 * 1000;
+
+  const apply = (monto, entry, i) => {
+    user.puntos += monto;
+    if (monto > 0) user.acumulados += monto;
+    addLedger(correo, { ...entry, monto, fecha: new Date(start + i * step) });
+  };
+  apply(inicial, { tipo: 'ajuste', origen: 'registro' }, 0);
+  for (let i = 1; i <= count; i++) {
+    if (i % 12 === 0 && user.puntos >= bolsa.puntos_necesarios) {
+      apply(-bolsa.puntos_necesarios, { tipo: 'canje', premioId: bolsa.id, origen: 'canje' }, i);
+    } else {
+      const material = reciclables[(i * 3) % reciclables.length];
+      apply(material.points, { tipo: 'escaneo', material: material.item, origen: i % 5 ? 'clasificacion' : 'deteccion' }, i);
+    }
+  }
+  events.delete(correo); // el historial sembrado no son cambios en vivo
+}
+
+// Filtros de GET /historial: tipo, material (id del catálogo), caneca (según el perfil
+// de la cuenta), desde/hasta (fechas ISO) y q (texto en material y premio)
+function matchesLedgerFilters(correo, entry, params) {
+  const tipo = params.get('tipo');
+  if (tipo && entry.tipo !== tipo) return false;
+
+  const material = params.get('material');
+  const entryMaterial = entry.material && catalogo.materiales.find((m) => m.nombre === entry.material);
+  if (material && (!entryMaterial || entryMaterial.id !== material)) return false;
+
+  const caneca = params.get('caneca');
+  if (caneca && (!entry.material || expectedBin(correo, entry.material) !== caneca)) return false;
+
+  const time = Date.parse(entry.fecha);
+  const desde = Date.parse(params.get('desde') || '');
+  const hasta = Date.parse(params.get('hasta') || '');
+  if (!Number.isNaN(desde) && time < desde) return false;
+  if (!Number.isNaN(hasta) && time >= hasta) return false;
+
+  const q = foldText(params.get('q') || '').trim();
+  if (q) {
+    const premio = entry.premio_id ? premios.find((p) => p.id === entry.premio_id) : null;
+    const text = foldText([entry.material, premio && premio.nombre, entry.tipo, entry.origen].filter(Boolean).join(' '));
+    if (!text.includes(q)) return false;
+  }
+  return true;
+}
+
+// Minúsculas y sin tildes, para buscar texto
+function foldText(text) {
+  return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+// ---------------------- Eventos en vivo ----------------------
+// Guarda el evento y lo entrega por los streams SSE y los long-polls abiertos
+function publish(correo, tipo, datos) {
+  const store = events.get(correo) || { lastId: 0, backlog: [] };
+  const event = { id: ++store.lastId, tipo, datos };
+  store.backlog = [...store.backlog, event].slice(-EVENT_BACKLOG);
+  events.set(correo, store);
+
+  (streams.get(correo) || new Set()).forEach((res) => writeEvent(res, event));
+  const pending = waiters.get(correo);
+  if (pending) {
+    waiters.delete(correo);
+    pending.forEach((respond) => respond([event]));
+  }
+}
+
+// Lo mismo para todas las cuentas (p. ej. el stock de un premio)
+function publishAll(tipo, datos) {
+  users.forEach((_, correo) => publish(correo, tipo, datos));
+}
+
+function eventsSince(correo, desde) {
+  const store = events.get(correo);
+  return store ? store.backlog.filter((event) => event.id > desde) : [];
+}
+
+function writeEvent(res, event) {
+  res.write(`id: ${event.id}\nevent: ${event.tipo}\ndata: ${JSON.stringify(event.datos)}\n\n`);
+}
+
+function issueTokens(correo) {
+  const access = crypto.randomBytes(24).toString('hex');
+  const refresh = crypto.randomBytes(32).toString('hex');
+  accessTokens.set(access, { correo, expires: Date.now() + ACCESS_TTL });
+  refreshTokens.set(refresh, correo);
+  return { access_token: access, refresh_token: refresh, token_type: 'bearer' };
+}
+
+// Acredita respetando el tope diario; devuelve lo que realmente sumó
+function creditPoints(correo, puntos, material, origen) {
+  const day = new Date().toISOString().slice(0, 10);
+  const today = dailyPoints.get(correo);
+  const spent = today && today.day === day ? today.puntos : 0;
+  const credited = Math.max(0, Math.min(puntos, DAILY_POINTS_CAP - spent));
+  dailyPoints.set(correo, { day, puntos: spent + credited });
+
+  if (credited > 0) {
+    const user = users.get(correo);
+    user.puntos += credited;
+    user.acumulados += credited;
+    addLedger(correo, { tipo: 'escaneo', monto: credited, material, origen });
+  }
+  return credited;
+}
+
+// Los puntos de un escaneo esperan a que el usuario escanee el QR de la caneca
+function addPendingDeposit(correo, item, points, origen) {
+  const scanId = crypto.randomBytes(8).toString('hex');
+  pendingDeposits.set(scanId, { correo, item, points, origen, expires: Date.now() + DEPOSIT_TTL });
+  return scanId;
+}
+
+// QR impreso en la caneca: "ECO-CANECA:<código>:<caneca>:<firma>"
+function binQr(codigo, caneca) {
+  const firma = crypto.createHmac('sha256', QR_SECRET).update(`${codigo}:${caneca}`).digest('hex').slice(0, 16);
+  return `ECO-CANECA:${codigo}:${caneca}:${firma}`;
+}
+
+function registerBin(codigo, caneca, ubicacion = '') {
+  const bin = { codigo, caneca, ubicacion, qr: binQr(codigo, caneca) };
+  canecasFisicas.set(codigo, bin);
+  return bin;
+}
+
+// La caneca registrada del QR; null si no existe o la firma no coincide
+function binFromQr(qr) {
+  const payload = String(qr || '').trim();
+  const match = /^ECO-CANECA:([A-Z0-9-]+):/.exec(payload);
+  const bin = match && canecasFisicas.get(match[1]);
+  return bin && bin.qr === payload ? bin : null;
+}
+
+// Tipo de caneca (del catálogo o de algún perfil) por su id
+function binType(caneca) {
+  return catalogo.canecas[caneca]
+    || Object.values(catalogo.perfiles).map((perfil) => perfil.canecas && perfil.canecas[caneca]).find(Boolean)
+    || null;
+}
+
+// Caneca en la que va el material con el perfil de región de la cuenta
+function expectedBin(correo, item) {
+  const material = catalogo.materiales.find((m) => m.nombre === item);
+  if (!material) return null;
+  const perfil = users.get(correo).perfil || catalogo.perfil_predeterminado;
+  const override = catalogo.perfiles[perfil]?.materiales?.[material.id];
+  return (override && override.caneca) || material.caneca;
+}
+
+// Misma foto (bytes idénticos del archivo) dentro de la ventana. El campo image_hash del
+// cliente se ignora: cualquiera puede mandar otro. El backend real decodifica la imagen y
+// calcula él mismo el dHash para atrapar también las fotos parecidas.
+function isDuplicateScan(correo, raw) {
+  const now = Date.now();
+  const digest = crypto.createHash('sha256').update(multipartFile(raw, 'file') || raw || '').digest('hex');
+  const recent = (recentScans.get(correo) || []).filter((scan) => now - scan.at < DUPLICATE_WINDOW);
+
+  const duplicate = recent.some((scan) => scan.digest === digest);
+  if (!duplicate) recent.push({ digest, at: now });
+  recentScans.set(correo, recent);
+  return duplicate;
+}
+
+// Bytes de un archivo de un cuerpo multipart/form-data, sin el boundary ni los otros
+// campos (captured_at cambia en cada envío)
+function multipartFile(raw, name) {
+  if (!raw || !raw.length) return null;
+  const boundary = raw.subarray(0, raw.indexOf('\r\n'));
+  const header = raw.indexOf(`name="${name}"`);
+  if (!boundary.length || header < 0) return null;
+  const start = raw.indexOf('\r\n\r\n', header) + 4;
+  const end = raw.indexOf(Buffer.concat([Buffer.from('\r\n'), boundary]), start);
+  return start >= 4 && end > start ? raw.subarray(start, end) : null;
+}
+
+// Campo de texto de un cuerpo multipart/form-data; null si no viene
+function multipartField(raw, name) {
+  const value = multipartFile(raw, name);
+  return value ? value.toString('utf8') : null;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// ---------------------- HTTP ----------------------
+function send(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(data));
+}
+
+function readBody(req) {
+  return new Promise((resolve) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      const raw = Buffer.concat(chunks);
+      if (!(req.headers['content-type'] || '').includes('application/json')) return resolve({ raw });
+      try {
+        resolve(JSON.parse(raw.toString('utf8') || '{}'));
+      } catch {
+        resolve({});
+      }
+    });
+  });
+}
+
+// Devuelve el correo del token o null
+function authenticate(req) {
+  return tokenOwner(bearerToken(req));
+}
+
+function bearerToken(req) {
+  const header = req.headers.authorization || '';
+  return header.startsWith('Bearer ') ? header.slice(7) : null;
+}
+
+function tokenOwner(token) {
+  const session = token && accessTokens.get(token);
+  if (!session || session.expires < Date.now()) return null;
+  return session.correo;
+}
+
+// El correo de la ruta o del cuerpo debe ser el del token
+function requireUser(req, res, correo) {
+  const owner = authenticate(req);
+  if (!owner) {
+    send(res, 401, { detail: 'Token inválido o expirado' });
+    return null;
+  }
+  if (correo && correo !== owner) {
+    send(res, 403, { detail: 'No puedes actuar sobre otra cuenta' });
+    return null;
+  }
+  return owner;
+}
+
+function requireAdmin(req, res) {
+  const correo = requireUser(req, res);
+  if (!correo) return null;
+  if (users.get(correo).rol !== 'admin') {
+    send(res, 403, { detail: 'Solo un administrador puede hacer esto' });
+    return null;
+  }
+  return correo;
+}
+
+// ---------------------- Rutas ----------------------
+const routes = [
+  ['POST', /^\/register$/, async (req, res) => {
+    const { nombre, password, ...body } = await readBody(req);
+    const correo = normalizeEmail(body.correo);
+    if (!nombre || !correo || !password) return send(res, 400, { error: 'Faltan datos' });
+    if (users.has(correo)) return send(res, 409, { error: 'El correo ya está registrado' });
+    addUser(nombre, correo, password);
+    send(res, 200, { mensaje: 'Usuario registrado', ...issueTokens(correo) });
+  }],
+
+  ['POST', /^\/login$/, async (req, res) => {
+    const { password, ...body } = await readBody(req);
+    const correo = normalizeEmail(body.correo);
+    const user = users.get(correo);
+    if (!user || user.password !== password) return send(res, 401, { error: 'Credenciales inválidas' });
+    send(res, 200, { mensaje: 'Login exitoso', ...issueTokens(correo) });
+  }],
+
+  ['POST', /^\/refresh$/, async (req, res) => {
+    const { refresh_token: token } = await readBody(req);
+    const correo = refreshTokens.get(token);
+    if (!correo) return send(res, 401, { detail: 'Refresh token inválido' });
+    refreshTokens.delete(token); // rotación: cada refresh token sirve una vez
+    send(res, 200, issueTokens(correo));
+  }],
+
+  ['POST', /^\/logout$/, async (req, res) => {
+    const { refresh_token: token } = await readBody(req);
+    refreshTokens.delete(token);
+    send(res, 200, { mensaje: 'Sesión cerrada' });
+  }],
+
+  ['GET', /^\/usuarios\/disponible$/, async (req, res, params, url) => {
+    const correo = normalizeEmail(url.searchParams.get('correo'));
+    if (!correo) return send(res, 400, { error: 'Falta el correo' });
+    send(res, 200, { correo, disponible: !users.has(correo) });
+  }],
+
+  ['POST', /^\/password\/forgot$/, async (req, res) => {
+    const correo = normalizeEmail((await readBody(req)).correo);
+    // Misma respuesta exista o no la cuenta, para no filtrar correos
+    if (users.has(correo)) {
+      const codigo = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+      resetCodes.set(correo, { codigo, expires: Date.now() + RESET_TTL });
+      console.log(`[mock] Código de recuperación para ${correo}: ${codigo}`);
+    }
+    send(res, 200, { mensaje: 'Si el correo existe, te enviamos un código' });
+  }],
+
+  ['POST', /^\/password\/reset$/, async (req, res) => {
+    const { codigo, password, ...body } = await readBody(req);
+    const correo = normalizeEmail(body.correo);
+    const pending = resetCodes.get(correo);
+    if (!pending || pending.codigo !== codigo || pending.expires < Date.now()) {
+      return send(res, 400, { error: 'El código no es válido o ya expiró' });
+    }
+    if (!password || password.length < 6) return send(res, 400, { error: 'La contraseña es muy corta' });
+    users.get(correo).password = password;
+    resetCodes.delete(correo);
+    send(res, 200, { mensaje: 'Contraseña actualizada' });
+  }],
+
+  ['POST', /^\/classify$/, async (req, res) => {
+    const { raw } = await readBody(req);
+    const index = Math.floor(Math.random() * materiales.length);
+    const confidence = 0.55 + Math.random() * 0.4;
+    const result = {
+      ...materiales[index],
+      confidence: round(confidence),
+      alternatives: materiales
+        .filter((_, i) => i !== index)
+        .slice(0, 2)
+        .map((m, i) => ({ item: m.item, confidence: round((1 - confidence) / (i + 2)) }))
+    };
+    // Con sesión, los puntos quedan pendientes hasta escanear la caneca (POST /depositos);
+    // una foto repetida no suma nunca
+    const correo = authenticate(req);
+    if (correo && isDuplicateScan(correo, raw)) {
+      result.points = 0;
+      result.duplicate = true;
+    } else if (correo && result.points > 0) {
+      result.scan_id = addPendingDeposit(correo, result.item, result.points, 'clasificacion');
+      result.pending_deposit = true;
+    }
+    send(res, 200, result);
+  }],
+
+  // Varios objetos: hasta 4, uno por cuadrante para que las cajas no se tapen
+  ['POST', /^\/detect$/, async (req, res) => {
+    const correo = requireUser(req, res);
+    if (!correo) return;
+    const { raw } = await readBody(req);
+    const duplicate = isDuplicateScan(correo, raw);
+
+    const quadrants = [[0, 0], [0.5, 0], [0, 0.5], [0.5, 0.5]].sort(() => Math.random() - 0.5);
+    const count = 1 + Math.floor(Math.random() * quadrants.length);
+    const found = quadrants.slice(0, count).map(([qx, qy], i) => {
+      const material = materiales[Math.floor(Math.random() * materiales.length)];
+      const width = 0.25 + Math.random() * 0.2;
+      const height = 0.25 + Math.random() * 0.2;
+      return {
+        id: i + 1,
+        item: material.item,
+        points: material.points,
+        confidence: round(0.5 + Math.random() * 0.45),
+        box: {
+          x: round(qx + Math.random() * (0.5 - width)),
+          y: round(qy + Math.random() * (0.5 - height)),
+          width: round(width),
+          height: round(height)
+        }
+      };
+    });
+
+    const id = crypto.randomBytes(8).toString('hex');
+    detections.set(id, { correo, detections: found, duplicate, expires: Date.now() + DETECTION_TTL });
+    send(res, 200, { id, detections: found });
+  }],
+
+  ['POST', /^\/detect\/([^/]+)\/confirm$/, async (req, res, [id]) => {
+    const correo = requireUser(req, res);
+    if (!correo) return;
+    const pending = detections.get(id);
+    if (!pending || pending.correo !== correo || pending.expires < Date.now()) {
+      return send(res, 404, { detail: 'La detección no existe o ya se confirmó' });
+    }
+    const { selected } = await readBody(req);
+    const ids = new Set(Array.isArray(selected) ? selected.map(Number) : []);
+    const confirmed = pending.detections.filter((d) => ids.has(d.id));
+    if (!confirmed.length) return send(res, 400, { error: 'Selecciona al menos un objeto' });
+
+    detections.delete(id); // cada detección se acredita una sola vez
+    const items = confirmed.map((d) => d.item);
+    if (pending.duplicate) return send(res, 200, { points: 0, items, duplicate: true });
+
+    // Cada objeto se acredita al depositarlo en su caneca
+    const deposits = confirmed
+      .filter((d) => d.points > 0)
+      .map((d) => ({ id: d.id, scan_id: addPendingDeposit(correo, d.item, d.points, 'deteccion'), item: d.item, points: d.points }));
+    send(res, 200, { points: 0, items, deposits, pending_deposit: deposits.length > 0 });
+  }],
+
+  // Segundo paso del escaneo: el QR (o el código impreso) de la caneca donde se botó el objeto
+  ['POST', /^\/depositos$/, async (req, res) => {
+    const correo = requireUser(req, res);
+    if (!correo) return;
+    const { scan_id: scanId, qr, codigo } = await readBody(req);
+    const pending = pendingDeposits.get(scanId);
+    if (!pending || pending.correo !== correo || pending.expires < Date.now()) {
+      return send(res, 404, { detail: 'El escaneo no existe, ya se depositó o venció' });
+    }
+
+    const bin = qr ? binFromQr(qr) : canecasFisicas.get(String(codigo || '').trim().toUpperCase());
+    if (!bin) return send(res, 400, { error: qr ? 'Ese QR no es de una caneca registrada' : 'No hay una caneca con ese código' });
+    const expected = expectedBin(correo, pending.item);
+    if (bin.caneca !== expected) {
+      const name = (id) => (binType(id)?.nombre || id).toLowerCase();
+      return send(res, 400, { error: `Esa es la caneca ${name(bin.caneca)}; ${pending.item} va en la ${name(expected)}` });
+    }
+
+    pendingDeposits.delete(scanId); // cada escaneo se deposita una sola vez
+    const points = creditPoints(correo, pending.points, pending.item, pending.origen);
+    const result = { points, item: pending.item, caneca: bin.caneca, codigo: bin.codigo };
+    if (points < pending.points) result.daily_limit = true;
+    send(res, 200, result);
+  }],
+
+  ['POST', /^\/feedback$/, async (req, res) => {
+    const correo = requireUser(req, res);
+    if (!correo) return;
+    const { raw } = await readBody(req);
+    feedback.push({ correo, bytes: raw ? raw.length : 0, fecha: new Date().toISOString() });
+    console.log(`[mock] Corrección #${feedback.length} de ${correo} (${feedback[feedback.length - 1].bytes} bytes)`);
+
+    // Lo pendiente por el material que dijo la IA pasa al corregido (y a su caneca)
+    const scanId = multipartField(raw, 'scan_id');
+    const pending = scanId && pendingDeposits.get(scanId);
+    const material = materiales.find((m) => m.item === multipartField(raw, 'corrected'));
+    if (!pending || pending.correo !== correo || pending.expires < Date.now() || !material) {
+      return send(res, 200, { mensaje: 'Gracias por la corrección' });
+    }
+    pendingDeposits.delete(scanId);
+    const result = { mensaje: 'Gracias por la corrección', item: material.item, points: material.points };
+    if (material.points > 0) {
+      result.scan_id = addPendingDeposit(correo, material.item, material.points, pending.origen);
+      result.pending_deposit = true;
+    }
+    send(res, 200, result);
+  }],
+
+  ['GET', /^\/admin\/canecas$/, async (req, res) => {
+    if (!requireAdmin(req, res)) return;
+    send(res, 200, [...canecasFisicas.values()]);
+  }],
+
+  ['POST', /^\/admin\/canecas$/, async (req, res) => {
+    if (!requireAdmin(req, res)) return;
+    const { codigo, caneca, ubicacion } = await readBody(req);
+    const code = String(codigo || '').trim().toUpperCase();
+    if (!/^[A-Z0-9-]{3,20}$/.test(code)) return send(res, 400, { error: 'El código solo lleva letras, números y guiones' });
+    if (!binType(caneca)) return send(res, 400, { error: 'Caneca desconocida en el catálogo' });
+    if (canecasFisicas.has(code)) return send(res, 409, { error: 'Ya hay una caneca con ese código' });
+    send(res, 201, registerBin(code, caneca, String(ubicacion || '').trim()));
+  }],
+
+  ['GET', /^\/catalogo$/, async (req, res, params, url) => {
+    const version = Number(url.searchParams.get('version'));
+    if (version === catalogo.version) return send(res, 200, { version, sin_cambios: true });
+    send(res, 200, catalogo);
+  }],
+
+  ['GET', /^\/productos\/(\d+)$/, async (req, res, [codigo]) => {
+    if (!requireUser(req, res)) return;
+    const producto = productos.get(codigo);
+    if (!producto) return send(res, 404, { detail: 'Producto no registrado' });
+    send(res, 200, { codigo, ...producto });
+  }],
+
+  ['POST', /^\/productos$/, async (req, res) => {
+    const correo = requireUser(req, res);
+    if (!correo) return;
+    const { codigo, nombre, componentes } = await readBody(req);
+    if (!/^(\d{8}|\d{13})$/.test(String(codigo || ''))) return send(res, 400, { error: 'Código de barras inválido' });
+    if (productos.has(codigo)) return send(res, 409, { error: 'Ese producto ya está registrado' });
+    if (!nombre || !Array.isArray(componentes) || !componentes.length) {
+      return send(res, 400, { error: 'Faltan el nombre o los componentes del empaque' });
+    }
+    const ids = new Set(catalogo.materiales.map((m) => m.id));
+    if (componentes.some((c) => !c || !c.parte || !ids.has(c.material))) {
+      return send(res, 400, { error: 'Cada componente necesita una parte y un material del catálogo' });
+    }
+
+    const producto = {
+      nombre: String(nombre).slice(0, 80),
+      componentes: componentes.map(({ parte, material }) => ({ parte: String(parte).slice(0, 40), material })),
+      aportado_por: correo
+    };
+    productos.set(codigo, producto);
+    console.log(`[mock] Producto ${codigo} aportado por ${correo}`);
+    send(res, 201, { codigo, ...producto });
+  }],
+
+  ['GET', /^\/premios$/, async (req, res) => {
+    send(res, 200, premios);
+  }],
+
+  ['POST', /^\/puntos\/canjear$/, async (req, res) => {
+    const { correo, premio } = await readBody(req);
+    if (!requireUser(req, res, correo)) return;
+    const user = users.get(correo);
+    const reward = premios.find((p) => p.nombre === premio);
+    if (!reward) return send(res, 404, { error: 'Premio no encontrado' });
+    if (reward.stock <= 0) return send(res, 200, { error: 'Premio agotado' });
+    if (user.puntos < reward.puntos_necesarios) return send(res, 200, { error: 'Puntos insuficientes' });
+    user.puntos -= reward.puntos_necesarios;
+    reward.stock -= 1;
+    publishAll('premio', { id: reward.id, stock: reward.stock });
+    addLedger(correo, { tipo: 'canje', monto: -reward.puntos_necesarios, premioId: reward.id, origen: 'canje' });
+    send(res, 200, { mensaje: `¡Canjeaste ${reward.nombre}!` });
+  }],
+
+  ['GET', /^\/usuarios\/([^/]+)\/puntos$/, async (req, res, [correo]) => {
+    if (!requireUser(req, res, correo)) return;
+    send(res, 200, { puntos: users.get(correo).puntos });
+  }],
+
+  ['GET', /^\/usuarios\/([^/]+)\/puntos-acumulados$/, async (req, res, [correo]) => {
+    if (!requireUser(req, res, correo)) return;
+    send(res, 200, { puntos_acumulados: users.get(correo).acumulados });
+  }],
+
+  ['GET', /^\/usuarios\/([^/]+)\/perfil-region$/, async (req, res, [correo]) => {
+    if (!requireUser(req, res, correo)) return;
+    // Sin elección propia se usa el de la organización (aquí, el predeterminado)
+    send(res, 200, { perfil: users.get(correo).perfil || catalogo.perfil_predeterminado });
+  }],
+
+  ['PUT', /^\/usuarios\/([^/]+)\/perfil-region$/, async (req, res, [correo]) => {
+    if (!requireUser(req, res, correo)) return;
+    const { perfil } = await readBody(req);
+    if (!catalogo.perfiles[perfil]) return send(res, 400, { error: 'Perfil de región desconocido' });
+    users.get(correo).perfil = perfil;
+    send(res, 200, { perfil });
+  }],
+
+  // EventSource no manda headers: el stream se abre con un ticket de corta vida y un
+  // solo uso, pedido con el token, para que el token no quede en la URL (logs, proxies)
+  ['POST', /^\/eventos\/ticket$/, async (req, res) => {
+    const correo = requireUser(req, res);
+    if (!correo) return;
+    const ticket = crypto.randomBytes(24).toString('hex');
+    const session = accessTokens.get(bearerToken(req)).expires;
+    streamTickets.set(ticket, { correo, expires: Date.now() + STREAM_TICKET_TTL, session });
+    send(res, 200, { ticket, expira_en: STREAM_TICKET_TTL / 1000 });
+  }],
+
+  // SSE. Se cierra cuando vence el token con el que se pidió el ticket; el cliente
+  // pide otro ticket (renovando el token) y vuelve a conectar.
+  ['GET', /^\/eventos$/, async (req, res, params, url) => {
+    const ticket = streamTickets.get(url.searchParams.get('ticket'));
+    streamTickets.delete(url.searchParams.get('ticket'));
+    if (!ticket || ticket.expires < Date.now()) return send(res, 401, { detail: 'Ticket inválido o expirado' });
+    const { correo } = ticket;
+
+    res.writeHead(200, { 'Content-Type': 'text/event-stream; charset=utf-8', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+    res.write('retry: 5000\n\n');
+    // Reconexión automática (Last-Event-ID) o manual (?desde=); sin ellos solo lo nuevo
+    const desde = Number(req.headers['last-event-id'] || url.searchParams.get('desde')) || 0;
+    if (desde) eventsSince(correo, desde).forEach((event) => writeEvent(res, event));
+
+    const open = streams.get(correo) || new Set();
+    open.add(res);
+    streams.set(correo, open);
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), SSE_HEARTBEAT);
+    const expiry = setTimeout(() => res.end(), Math.max(0, ticket.session - Date.now()));
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      clearTimeout(expiry);
+      open.delete(res);
+    });
+  }],
+
+  // Long-polling para clientes sin SSE: responde al primer evento o a los LONG_POLL_WAIT ms.
+  // "ultimo" es el id desde el que debe pedir la siguiente vez
+  ['GET', /^\/eventos\/espera$/, async (req, res, params, url) => {
+    const correo = requireUser(req, res);
+    if (!correo) return;
+    const desde = Number(url.searchParams.get('desde')) || 0;
+    const ready = desde ? eventsSince(correo, desde) : [];
+    if (ready.length) return send(res, 200, { eventos: ready, ultimo: ready[ready.length - 1].id });
+
+    const pending = waiters.get(correo) || new Set();
+    const respond = (eventos) => {
+      clearTimeout(timer);
+      pending.delete(respond);
+      send(res, 200, { eventos, ultimo: (events.get(correo) || { lastId: 0 }).lastId });
+    };
+    const timer = setTimeout(() => respond([]), LONG_POLL_WAIT);
+    pending.add(respond);
+    waiters.set(correo, pending);
+    res.on('close', () => {
+      clearTimeout(timer);
+      pending.delete(respond);
+    });
+  }],
+
+  // Totales de todo el ledger para "Mis Estadísticas", sin bajar los movimientos
+  ['GET', /^\/historial\/([^/]+)\/resumen$/, async (req, res, [correo]) => {
+    if (!requireUser(req, res, correo)) return;
+    const ledger = history.get(correo);
+    const escaneos = ledger.filter((entry) => entry.tipo === 'escaneo');
+    send(res, 200, {
+      objetos: escaneos.filter((entry) => entry.material).length,
+      puntos_ganados: escaneos.reduce((sum, entry) => sum + entry.monto, 0),
+      puntos_canjeados: ledger.filter((entry) => entry.tipo === 'canje').reduce((sum, entry) => sum - entry.monto, 0)
+    });
+  }],
+
+  // Paginado por cursor (id del último movimiento entregado), del más nuevo al más viejo
+  ['GET', /^\/historial\/([^/]+)$/, async (req, res, [correo], url) => {
+    if (!requireUser(req, res, correo)) return;
+    const params = url.searchParams;
+    const limite = Math.min(HISTORY_PAGE_MAX, Math.max(1, Number(params.get('limite')) || 20));
+    const cursor = Number(params.get('cursor')) || 0;
+
+    const filtered = history.get(correo).filter((entry) => matchesLedgerFilters(correo, entry, params));
+    const start = cursor ? filtered.findIndex((entry) => entry.id < cursor) : 0;
+    const page = start < 0 ? [] : filtered.slice(start, start + limite);
+    const more = start >= 0 && start + limite < filtered.length;
+    send(res, 200, { movimientos: page, siguiente: more ? String(page[page.length - 1].id) : null, total: filtered.length });
+  }]
+];
+
+const server = http.createServer(async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  if (req.method === 'OPTIONS') return res.end();
+
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  for (const [method, pattern, handler] of routes) {
+    const match = req.method === method && pattern.exec(url.pathname);
+    if (match) {
+      try {
+        const params = match.slice(1).map(decodeURIComponent);
+        return await handler(req, res, params, url);
+      } catch (error) {
+        console.error(error);
+        return send(res, 500, { detail: 'Error interno del mock' });
+      }
+    }
+  }
+  send(res, 404, { detail: 'Not Found' });
+});
+
+server.listen(PORT, () => {
+  console.log(`[mock] EcoRecycle escuchando en http://127.0.0.1:${PORT}`);
+  canecasFisicas.forEach((bin) => console.log(`[mock] QR de ${bin.codigo} (${bin.caneca}): ${bin.qr}`));
+});
@@ -0,0 +1,254 @@
+/**
+ * Service worker de EcoRecycle
+ *
+ * - Precachea el shell de la app y del login para abrirlos sin red
+ * - /premios: stale-while-revalidate (se muestra lo último y se actualiza detrás)
+ * - Navegación sin red y sin copia: offline.html
+ * - Background Sync "scan-queue": envía los escaneos guardados sin conexión (js/scan-queue.js)
+ *   aunque la app esté cerrada
+ *
+ * Al agregar un archivo al shell, súmalo a SHELL y sube VERSION
+ * para que los clientes descarten la caché anterior.
+ */
+
+const VERSION = 'v16';
+const SHELL_CACHE = `eco-shell-${VERSION}`;
+const RUNTIME_CACHE = `eco-runtime-${VERSION}`;
+const OFFLINE_URL = 'offline.html';
+
+// Rutas relativas a la ubicación de este archivo
+const SHELL = [
+  'index.html',
+  'offline.html',
+  'config.json',
+  'catalogo.json',
+  'manifest.webmanifest',
+  'icons/icon.svg',
+  'css/styles.css',
+  'js/app.js',
+  'js/api.js',
+  'js/config.js',
+  'js/session.js',
+  'js/idle-timer.js',
+  'js/scan-queue.js',
+  'js/sw-register.js',
+  'js/image-preprocess.js',
+  'js/material-matcher.js',
+  'js/catalog.js',
+  'js/barcode.js',
+  'js/camera.js',
+  'js/image-hash.js',
+  'js/recent-scans.js',
+  'js/local-classifier.js',
+  'js/live-updates.js',
+  'js/history-export.js',
+  'login/html/index.html',
+  'login/css/styles.css',
+  'login/css/animations.css',
+  'login/js/validation.js',
+  'login/js/components.js',
+  'login/js/main.js'
+];
+
+// Estáticos que no van en SHELL: runtime y modelo local (tools/local-model.js). Solo se bajan
+// con el flag "localModel", que se enciende donde el modelo esté desplegado
+const STATIC_PREFIXES = ['vendor/', 'models/'];
+
+// Hojas de estilo, scripts y fuentes externas; si alguna falla no frena la instalación
+const FONT_AWESOME = 'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.0.0';
+const CDN_ASSETS = [
+  `${FONT_AWESOME}/css/all.min.css`,
+  `${FONT_AWESOME}/webfonts/fa-solid-900.woff2`,
+  `${FONT_AWESOME}/webfonts/fa-regular-400.woff2`,
+  `${FONT_AWESOME}/webfonts/fa-brands-400.woff2`,
+  'https://cdn.tailwindcss.com',
+  'https://unpkg.com/lucide@latest/dist/umd/lucide.js'
+];
+const CDN_HOSTS = CDN_ASSETS.map((url) => new URL(url).host);
+
+// Cola de escaneos sin conexión; el esquema lo define js/scan-queue.js
+const QUEUE_DB = 'ecorecycle';
+const QUEUE_DB_VERSION = 2;
+const QUEUE_STORE = 'pendingScans';
+const QUEUE_SYNC_STORE = 'sync';
+const QUEUE_SYNC_TAG = 'scan-queue';
+const QUEUE_LOCK = 'eco-scan-queue';
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const shell = await caches.open(SHELL_CACHE);
+    await shell.addAll(SHELL.map((path) => new URL(path, self.registration.scope)));
+
+    const runtime = await caches.open(RUNTIME_CACHE);
+    await Promise.allSettled(CDN_ASSETS.map(async (url) => {
+      // Las fuentes se piden con CORS desde el CSS; los <link>/<script> sin crossorigin, no
+      const response = await fetch(url, { mode: 'cors' }).catch(() => fetch(url, { mode: 'no-cors' }));
+      await runtime.put(url, response);
+    }));
+
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const keep = [SHELL_CACHE, RUNTIME_CACHE];
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter((name) => name.startsWith('eco-') && !keep.includes(name))
+      .map((name) => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request, { fallback: OFFLINE_URL }));
+  } else if (url.pathname.endsWith('/premios')) {
+    event.respondWith(staleWhileRevalidate(request, RUNTIME_CACHE));
+  } else if (isStaticAsset(url)) {
+    // config.json cambia por entorno: siempre se intenta la red primero
+    event.respondWith(url.pathname.endsWith('/config.json')
+      ? networkFirst(request)
+      : staleWhileRevalidate(request, SHELL_CACHE));
+  } else if (CDN_HOSTS.includes(url.host)) {
+    event.respondWith(staleWhileRevalidate(request, RUNTIME_CACHE));
+  }
+  // El resto (API con sesión, SSE, etc.) va directo a la red, aunque comparta origen con la app
+});
+
+self.addEventListener('sync', (event) => {
+  if (event.tag !== QUEUE_SYNC_TAG) return;
+  event.waitUntil(navigator.locks
+    ? navigator.locks.request(QUEUE_LOCK, sendQueuedScans)
+    : sendQueuedScans());
+});
+
+// --- Estrategias ---
+async function staleWhileRevalidate(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request, { ignoreSearch: isShellRequest(request) });
+
+  const update = fetch(request)
+    .then((response) => {
+      if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+      return response;
+    })
+    .catch(() => null);
+
+  if (cached) return cached;
+  return (await update) || Response.error();
+}
+
+async function networkFirst(request, { fallback } = {}) {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(SHELL_CACHE);
+      cache.put(shellKey(request), response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await caches.match(shellKey(request), { ignoreSearch: true });
+    if (cached) return cached;
+    if (fallback) return caches.match(new URL(fallback, self.registration.scope).href);
+    return Response.error();
+  }
+}
+
+// --- Cola de escaneos ---
+// Los manda en orden a /classify con el token que dejó la app. Lo enviado queda en la
+// cola con su result para que la app lo muestre (depósitos pendientes, puntos) y lo quite.
+// Si falla la red, el error hace que el navegador reintente el sync más tarde.
+async function sendQueuedScans() {
+  const db = await openScanQueue();
+  if (!db) return;
+
+  let sent = 0;
+  try {
+    const credentials = await idbRequest(db.transaction(QUEUE_SYNC_STORE).objectStore(QUEUE_SYNC_STORE).get('credentials'));
+    if (!credentials) return; // sesión cerrada: la cola espera a la próxima
+    const scans = (await idbRequest(db.transaction(QUEUE_STORE).objectStore(QUEUE_STORE).index('email').getAll(credentials.email)))
+      .filter((scan) => !scan.result)
+      .sort((a, b) => a.capturedAt - b.capturedAt);
+
+    for (const scan of scans) {
+      const form = new FormData();
+      form.append('file', scan.blob, scan.filename);
+      form.append('captured_at', new Date(scan.capturedAt).toISOString());
+      if (scan.hash) form.append('image_hash', scan.hash);
+
+      const response = await fetch(`${credentials.apiBaseUrl}/classify`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${credentials.token}` },
+        body: form
+      });
+      // Token vencido: aquí no se renueva (rotaría el de la app); la app la envía al abrirse
+      if (response.status === 401) break;
+      if (response.status >= 500) throw new Error(`El backend respondió ${response.status}`);
+
+      const result = await response.json().catch(() => null);
+      const store = db.transaction(QUEUE_STORE, 'readwrite').objectStore(QUEUE_STORE);
+      if (!response.ok || result?.error) {
+        // El servidor vio la foto y la rechazó: reintentarla no cambia nada
+        await idbRequest(store.delete(scan.id));
+      } else {
+        await idbRequest(store.put({ ...scan, result: result || {} }));
+        sent++;
+      }
+    }
+  } finally {
+    db.close();
+    if (sent) {
+      const clients = await self.clients.matchAll({ type: 'window' });
+      clients.forEach((client) => client.postMessage({ type: 'scan-queue-sent', count: sent }));
+    }
+  }
+}
+
+// null si la app todavía no creó la base (o es de una versión anterior): no hay nada que enviar
+function openScanQueue() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(QUEUE_DB, QUEUE_DB_VERSION);
+    let upgrading = false;
+    request.onupgradeneeded = () => {
+      upgrading = true;
+      request.transaction.abort();
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => (upgrading ? resolve(null) : reject(request.error));
+  });
+}
+
+function idbRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// --- Helpers ---
+// Archivos de la app; nunca respuestas de la API, que dependen de la sesión
+function isStaticAsset(url) {
+  const scope = new URL(self.registration.scope);
+  if (url.origin !== scope.origin || !url.pathname.startsWith(scope.pathname)) return false;
+  const path = url.pathname.slice(scope.pathname.length);
+  return SHELL.includes(path) || STATIC_PREFIXES.some((prefix) => path.startsWith(prefix));
+}
+
+function isShellRequest(request) {
+  return new URL(request.url).origin === self.location.origin;
+}
+
+// "/" y "/login/html/" se guardan como su index.html
+function shellKey(request) {
+  const url = new URL(request.url);
+  if (url.pathname.endsWith('/')) url.pathname += 'index.html';
+  url.search = '';
+  return url.href;
+}
@@ -0,0 +1,97 @@
+/**
+ * Instala el clasificador del dispositivo (js/local-classifier.js) como estáticos de la app
+ *
+ * Uso:  node Front-end/tools/local-model.js                       (solo el runtime)
+ *       node Front-end/tools/local-model.js --model <url o carpeta>
+ *
+ * - Runtime: TensorFlow.js y su backend WASM, sacados del registro de npm con `npm pack`
+ *   (versión fija en TFJS_VERSION) y copiados a vendor/tfjs/. Van en el repo; este paso
+ *   solo hace falta para actualizarlos.
+ * - Modelo: la exportación de Teachable Machine ("TensorFlow.js" → model.json, weights.bin
+ *   y metadata.json), desde el enlace que da al subirla o desde la carpeta descomprimida.
+ *   Queda en models/clasificador/ y se despliega junto con la app; después se enciende
+ *   features.localModel en config.json para ese entorno.
+ *
+ * Las etiquetas del modelo deben ser ids o nombres de catalogo.json; las que no estén
+ * se avisan aquí porque en la app se descartarían sin ruido.
+ */
+
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TFJS_VERSION = '4.22.0';
+const ROOT = path.join(__dirname, '..');
+const VENDOR_DIR = path.join(ROOT, 'vendor', 'tfjs');
+const MODEL_DIR = path.join(ROOT, 'models', 'clasificador');
+
+// paquete → archivos de dist/ que usa la app (la variante con hilos exige aislamiento
+// cross-origin, que la app no tiene, así que no se copia)
+const RUNTIME_FILES = {
+  '@tensorflow/tfjs': ['tf.min.js'],
+  '@tensorflow/tfjs-backend-wasm': ['tf-backend-wasm.min.js', 'tfjs-backend-wasm.wasm', 'tfjs-backend-wasm-simd.wasm']
+};
+
+async function main() {
+  const args = process.argv.slice(2);
+  const modelIndex = args.indexOf('--model');
+  const modelSource = modelIndex >= 0 ? args[modelIndex + 1] : null;
+  if (modelIndex >= 0 && !modelSource) throw new Error('Falta la URL o carpeta después de --model');
+
+  installRuntime();
+  if (modelSource) await installModel(modelSource);
+}
+
+function installRuntime() {
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'eco-tfjs-'));
+  try {
+    fs.mkdirSync(VENDOR_DIR, { recursive: true });
+    Object.entries(RUNTIME_FILES).forEach(([pkg, files]) => {
+      const tarball = execFileSync('npm', ['pack', `${pkg}@${TFJS_VERSION}`, '--silent', '--pack-destination', tmp], { encoding: 'utf8' })
+        .trim().split('\n').pop();
+      const dir = path.join(tmp, path.basename(tarball, '.tgz'));
+      fs.mkdirSync(dir);
+      execFileSync('tar', ['xzf', path.join(tmp, tarball), '-C', dir]);
+      files.forEach((file) => {
+        fs.copyFileSync(path.join(dir, 'package', 'dist', file), path.join(VENDOR_DIR, file));
+        console.log(`[modelo] vendor/tfjs/${file} (${pkg}@${TFJS_VERSION})`);
+      });
+    });
+  } finally {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+}
+
+async function installModel(source) {
+  const remote = /^https?:\/\//.test(source);
+  // El enlace de Teachable Machine termina en "/"; los archivos cuelgan de él
+  const base = remote ? new URL(source.endsWith('/') ? source : `${source}/`) : path.resolve(source);
+  const read = async (name) => {
+    if (!remote) return fs.readFileSync(path.join(base, name));
+    const res = await fetch(new URL(name, base));
+    if (!res.ok) throw new Error(`HTTP ${res.status} al bajar ${name}`);
+    return Buffer.from(await res.arrayBuffer());
+  };
+
+  const modelJson = await read('model.json');
+  const metadataJson = await read('metadata.json');
+  const shards = (JSON.parse(modelJson).weightsManifest || []).flatMap((group) => group.paths || []);
+  if (!shards.length) throw new Error('model.json no lista archivos de pesos');
+
+  fs.mkdirSync(MODEL_DIR, { recursive: true });
+  fs.writeFileSync(path.join(MODEL_DIR, 'model.json'), modelJson);
+  fs.writeFileSync(path.join(MODEL_DIR, 'metadata.json'), metadataJson);
+  for (const shard of shards) fs.writeFileSync(path.join(MODEL_DIR, shard), await read(shard));
+  console.log(`[modelo] models/clasificador/: model.json, metadata.json, ${shards.join(', ')}`);
+
+  const catalogo = JSON.parse(fs.readFileSync(path.join(ROOT, 'catalogo.json'), 'utf8'));
+  const known = new Set(catalogo.materiales.flatMap((m) => [m.id, m.nombre, ...(m.sinonimos || [])]));
+  const unknown = (JSON.parse(metadataJson).labels || []).filter((label) => !known.has(label));
+  if (unknown.length) console.warn(`[modelo] Etiquetas que no están en catalogo.json: ${unknown.join(', ')}`);
+}
+
+main().catch((error) => {
+  console.error(`[modelo] ${error.message}`);
+  process.exit(1);
+});